@@ -10,11 +10,43 @@ class CompoundObject {
    */
   #group
 
+  /**
+   * Current flight mode (see FlightMode).
+   */
+  #flightMode
+
+  /**
+   * Velocity of the primary object (world space, always tangent to the orbit shell).
+   *
+   * @type {THREE.Vector3}
+   */
+  #velocity
+
+  /**
+   * Acceleration applied by full thrust in inertial flight (world units per second squared).
+   */
+  #thrust
+
+  /**
+   * Rate at which velocity decays in inertial flight (per second).
+   */
+  #drag
+
+  /**
+   * Factor applied to thrust and top speed while the boost is engaged.
+   */
+  #boostFactor
+
   /**
    * CompoundObject class constructor.
    */
   constructor() {
     this.#group = new THREE.Group()
+    this.#flightMode = FlightMode.DIRECT
+    this.#velocity = new THREE.Vector3()
+    this.#thrust = _THRUST
+    this.#drag = _DRAG
+    this.#boostFactor = _BOOST_FACTOR
   }
 
   /**
@@ -52,60 +84,210 @@ class CompoundObject {
   getGroup() { return this.#group }
 
   /**
-   * Applies a rotation to our primary object.
+   * Gets current flight mode.
    *
-   * @param radius {number} world radius
-   * @param theta {number} theta angle
-   * @param phi {number} phi angle
+   * @return {number} see FlightMode
+   */
+  getFlightMode() { return this.#flightMode }
+
+  /**
+   * Updates flight mode. The current velocity is kept, so switching to inertial flight while moving keeps gliding.
+   *
+   * @param mode {number} see FlightMode
+   */
+  setFlightMode(mode) { this.#flightMode = mode }
+
+  /**
+   * Switches between direct and inertial flight modes.
+   */
+  toggleFlightMode() {
+    this.setFlightMode(this.getFlightMode() === FlightMode.DIRECT ? FlightMode.INERTIAL : FlightMode.DIRECT)
+  }
+
+  /**
+   * Gets inertial flight thrust.
+   *
+   * @return {number} world units per second squared
+   */
+  getThrust() { return this.#thrust }
+
+  /**
+   * Updates inertial flight thrust.
+   *
+   * @param thrust {number} world units per second squared
+   */
+  setThrust(thrust) { this.#thrust = thrust }
+
+  /**
+   * Gets inertial flight drag.
+   *
+   * @return {number} exponential decay rate of the velocity (per second)
+   */
+  getDrag() { return this.#drag }
+
+  /**
+   * Updates inertial flight drag (0 glides forever).
+   *
+   * @param drag {number} exponential decay rate of the velocity (per second)
+   */
+  setDrag(drag) { this.#drag = drag }
+
+  /**
+   * Gets boost factor.
+   *
+   * @return {number}
+   */
+  getBoostFactor() { return this.#boostFactor }
+
+  /**
+   * Updates boost factor.
+   *
+   * @param factor {number} factor applied to thrust and top speed while the boost is engaged
+   */
+  setBoostFactor(factor) { this.#boostFactor = factor }
+
+  /**
+   * Gets current speed.
+   *
+   * @return {number} world units per second
+   */
+  getSpeed() { return this.#velocity.length() }
+
+  /**
+   * Gets the spherical angles of the primary object's position.
    *
-   * @return number[] -> [x, y, z]
+   * @return {{theta: number, phi: number}} angles in radians (see sphericalAngles)
    */
-  #applySphericalRotation(radius, theta, phi) {
-    return [
-      Math.sin(phi) * radius * Math.sin(theta) - this.getPrimary().position.x,
-      Math.cos(phi) * radius - this.getPrimary().position.y,
-      Math.sin(phi) * radius * Math.cos(theta) - this.getPrimary().position.z
-    ]
+  getSphericalAngles() { return CompoundObject.sphericalAngles(this.getPrimary().position) }
+
+  /**
+   * Computes the spherical angles of a position relative to the world center: theta is measured around the world's
+   * axis from the z axis and phi down from the north pole.
+   *
+   * @param position {THREE.Vector3}
+   *
+   * @return {{theta: number, phi: number}} angles in radians
+   */
+  static sphericalAngles(position) {
+    let {x, y, z} = position
+    let radius = position.length()
+    return {
+      theta: Math.atan2(x, z),
+      phi: radius > 0 ? Math.acos(Math.max(-1, Math.min(1, y / radius))) : 0
+    }
+  }
+
+  /**
+   * Gets the direction the spaceship is heading to (unit vector tangent to the orbit shell).
+   *
+   * @param target {THREE.Vector3} vector where the result is written
+   *
+   * @return {THREE.Vector3} target
+   */
+  getHeading(target = new THREE.Vector3()) {
+    return target.copy(_FORWARD).applyQuaternion(this.getPrimary().quaternion)
   }
 
   /**
-   * Moves articulated object in input direction by changing the position values of the group.
+   * Places the primary object on the orbit shell with its belly facing the world and heading north (or along the x
+   * axis when placed on a pole).
+   *
+   * @param position {THREE.Vector3} point on the orbit shell
+   */
+  placeAt(position) {
+    let down = position.clone().negate().normalize()
+    let heading = new THREE.Vector3(0, 1, 0).addScaledVector(down, -down.y)
+    if (heading.lengthSq() < _EPSILON)
+      heading.set(1, 0, 0).addScaledVector(down, -down.x)
+    heading.normalize()
+
+    let right = new THREE.Vector3().crossVectors(heading, down)
+    this.#velocity.set(0, 0, 0)
+    this.getPrimary().position.copy(position)
+    this.getPrimary().quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(right, heading, down))
+  }
+
+  /**
+   * Moves articulated object according to the input directions. Left and right turn the spaceship around the local
+   * vertical. Up and down either set the speed along the heading directly or, in inertial mode, apply thrust to a
+   * velocity that is slowed down by drag and capped. Every movement is a rotation around the center of the world
+   * applied to position, orientation and velocity at once, so the spaceship glides over the poles without any
+   * singularity.
    *
    * @param directions {Array<Direction>}
    * @param delta {number}
    * @param radius {number} world radius
+   * @param boost {boolean} whether the boost is engaged (raises thrust and top speed)
+   * @param magnitudes {Object<Direction, number>} how strongly each direction is pushed, from 0 to 1 (defaults to 1)
    */
-  move(directions, delta, radius) {
-
-    /* Calculates theta and phi so that we can rotate the spaceship */
-    let {x, y, z} = this.getPrimary().position
-    let theta = Math.atan2(x, z)
-    let phi = Math.acos(Math.max(-1, Math.min(1, y / radius)))
+  move(directions, delta, radius, boost = false, magnitudes = {}) {
+    let primary = this.getPrimary()
+    let thrust = 0
+    let turn = 0
 
-    /* Calculates new x, z, y values based on the rotation of the spaceship */
-    let totalMovementVector = new THREE.Vector3(0, 0, 0)
     directions.forEach((direction) => {
+      let magnitude = magnitudes[direction] ?? 1
       switch (direction) {
         case Direction.UP:
-          totalMovementVector.add(new THREE.Vector3(...this.#applySphericalRotation(radius, theta, phi - _MOVE_STEP * delta)))
+          thrust += magnitude
           break
         case Direction.DOWN:
-          totalMovementVector.add(new THREE.Vector3(...this.#applySphericalRotation(radius, theta, phi + _MOVE_STEP * delta)))
+          thrust -= magnitude
           break
         case Direction.LEFT:
-          totalMovementVector.add(new THREE.Vector3(...this.#applySphericalRotation(radius, theta - _MOVE_STEP * delta, phi)))
+          turn += magnitude
           break
         case Direction.RIGHT:
-          totalMovementVector.add(new THREE.Vector3(...this.#applySphericalRotation(radius, theta + _MOVE_STEP * delta, phi)))
+          turn -= magnitude
           break
       }
     })
 
-    /* Applies rotation values */
-    this.getPrimary().position.add(totalMovementVector.normalize())
+    let up = primary.position.clone().normalize()
+    let rotation = new THREE.Quaternion()
+    let factor = boost ? this.getBoostFactor() : 1
+
+    /* Turning spins the spaceship around the line that connects it to the center of the world */
+    if (turn !== 0) {
+      rotation.setFromAxisAngle(up, turn * _TURN_SPEED * delta)
+      primary.quaternion.premultiply(rotation)
+    }
+
+    /* Updates velocity according to the flight mode */
+    if (this.getFlightMode() === FlightMode.INERTIAL) {
+      this.#velocity.addScaledVector(this.getHeading(), thrust * this.getThrust() * factor * delta)
+      this.#velocity.multiplyScalar(Math.exp(-this.getDrag() * delta))
+      if (this.#velocity.length() > _SHIP_SPEED * factor)
+        this.#velocity.setLength(_SHIP_SPEED * factor)
+    } else {
+      this.#velocity.copy(this.getHeading()).multiplyScalar(thrust * _SHIP_SPEED * factor)
+    }
+
+    /* Gliding rolls the spaceship over the orbit shell around the axis perpendicular to its velocity */
+    let speed = this.getSpeed()
+    if (speed > _EPSILON) {
+      let axis = new THREE.Vector3().crossVectors(up, this.#velocity).normalize()
+      rotation.setFromAxisAngle(axis, speed * delta / radius)
+      primary.quaternion.premultiply(rotation)
+      primary.position.applyQuaternion(rotation)
+      this.#velocity.applyQuaternion(rotation)
+    }
+
+    /* Prevents floating point drift from moving the spaceship off the orbit shell */
+    primary.quaternion.normalize()
+    primary.position.setLength(radius)
+    up.copy(primary.position).normalize()
+    this.#velocity.addScaledVector(up, -this.#velocity.dot(up))
 
   }
 
 }
 
-const _MOVE_STEP = 2
+/* Local direction the spaceship's nose points to */
+const _FORWARD = new THREE.Vector3(0, 1, 0)
+const _SHIP_SPEED = 60
+const _TURN_SPEED = Math.PI
+const _THRUST = 45
+const _DRAG = 0.5
+const _BOOST_FACTOR = 2
+const _EPSILON = 1e-9
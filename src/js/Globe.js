@@ -0,0 +1,121 @@
+/**
+ * Textured world sphere that spins around its own axis.
+ */
+class Globe {
+
+  /**
+   * Three.js mesh of the world.
+   */
+  #mesh
+
+  /**
+   * Object that holds the globe, the debris and the spaceship. Is rotated instead of the mesh when the scene is
+   * co-rotating with the world.
+   */
+  #pivot
+
+  /**
+   * Angular speed of the world around its own axis (radians per second).
+   */
+  #rotationSpeed
+
+  /**
+   * Current rotation mode (see RotationMode).
+   */
+  #rotationMode
+
+  /**
+   * Globe class constructor.
+   *
+   * @param radius {number} world radius
+   * @param pivot {THREE.Object3D} object that holds every element that orbits the world
+   */
+  constructor(radius, pivot) {
+    this.#pivot = pivot
+    this.#rotationMode = RotationMode.INERTIAL
+    this.setSiderealPeriod(_EARTH_SIDEREAL_PERIOD)
+    this.#buildMesh(radius)
+  }
+
+  /**
+   * Builds the world mesh. The sphere starts with a flat color until loadTexture is called.
+   *
+   * @param radius {number} world radius
+   */
+  #buildMesh(radius) {
+    let geometry = new THREE.SphereGeometry(radius, 32, 32)
+    let material = new THREE.MeshBasicMaterial({color: _EARTH_FALLBACK_COLOR})
+    this.#mesh = new THREE.Mesh(geometry, material)
+  }
+
+  /**
+   * Loads the world texture. The sphere gets it as soon as the image is loaded, so that a missing texture never
+   * prevents the scene from being displayed. Only needed when the world is displayed (loading images requires a
+   * browser).
+   */
+  loadTexture() {
+
+    /* The mesh may be using another material by then (see LightingPlugin) */
+    new THREE.TextureLoader().load(_EARTH_TEXTURE, (texture) => {
+      let current = this.getMesh().material
+      current.map = texture
+      current.color.set(0xffffff)
+      current.needsUpdate = true
+    }, undefined, () => {
+      console.warn(`Unable to load globe texture '${_EARTH_TEXTURE}', using a flat color instead`)
+    })
+  }
+
+  /**
+   * Gets world mesh.
+   *
+   * @return {THREE.Mesh}
+   */
+  getMesh() { return this.#mesh }
+
+  /**
+   * Gets current rotation mode.
+   *
+   * @return {number} see RotationMode
+   */
+  getRotationMode() { return this.#rotationMode }
+
+  /**
+   * Updates rotation mode. Switching keeps every object where it currently is, only the next rotation steps change.
+   *
+   * @param mode {number} see RotationMode
+   */
+  setRotationMode(mode) { this.#rotationMode = mode }
+
+  /**
+   * Switches between co-rotating and inertial modes.
+   */
+  toggleRotationMode() {
+    this.setRotationMode(this.getRotationMode() === RotationMode.INERTIAL ? RotationMode.CO_ROTATING : RotationMode.INERTIAL)
+  }
+
+  /**
+   * Updates the time the world takes to complete a full turn around its axis.
+   *
+   * @param period {number} seconds per revolution (0 stops the rotation)
+   */
+  setSiderealPeriod(period) {
+    this.#rotationSpeed = period > 0 ? 2 * Math.PI / period : 0
+  }
+
+  /**
+   * Rotates the world around its axis. When co-rotating, the whole pivot turns so that debris and spaceship keep their
+   * position relative to the surface.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  rotate(delta) {
+    let target = this.getRotationMode() === RotationMode.CO_ROTATING ? this.#pivot : this.getMesh()
+    target.rotateY(this.#rotationSpeed * delta)
+  }
+
+}
+
+const _EARTH_TEXTURE = "../resources/textures/earth_base.jpg"
+const _EARTH_FALLBACK_COLOR = 0x0fffff
+const _EARTH_SIDEREAL_PERIOD = 60
@@ -0,0 +1,6 @@
+/**
+ * Dimensions of the world shared by the simulation, the debris and the cameras. Loaded before every script that reads
+ * them.
+ */
+const _EARTH_RADIUS = 70
+const _GRID_CELL_SIZE = 12
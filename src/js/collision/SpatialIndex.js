@@ -0,0 +1,62 @@
+/**
+ * Broad-phase collision index. Describes the operations every spatial index has to provide so that implementations
+ * can be swapped without changing the code that uses them. Indexed objects must expose a `position` vector and a
+ * `raioCol` bounding sphere radius.
+ */
+class SpatialIndex {
+
+  /**
+   * Adds an object to the index.
+   *
+   * @param object {THREE.Object3D}
+   */
+  insert(object) { throw new Error(`${this.constructor.name} does not implement insert`) }
+
+  /**
+   * Removes an object from the index. Does nothing if the object was never inserted.
+   *
+   * @param object {THREE.Object3D}
+   */
+  remove(object) { throw new Error(`${this.constructor.name} does not implement remove`) }
+
+  /**
+   * Refreshes the position of an object that has moved since it was inserted.
+   *
+   * @param object {THREE.Object3D}
+   */
+  update(object) {
+    this.remove(object)
+    this.insert(object)
+  }
+
+  /**
+   * Gets the objects that may intersect a sphere. The result can contain false positives (narrow-phase checks are left
+   * to the caller) but never misses an object whose bounding sphere intersects the input one.
+   *
+   * @param position {THREE.Vector3} sphere center
+   * @param radius {number} sphere radius
+   *
+   * @return {Array<THREE.Object3D>}
+   */
+  queryNeighbours(position, radius) { throw new Error(`${this.constructor.name} does not implement queryNeighbours`) }
+
+  /**
+   * Gets every object in the index.
+   *
+   * @return {Array<THREE.Object3D>}
+   */
+  getAll() { throw new Error(`${this.constructor.name} does not implement getAll`) }
+
+  /**
+   * Gets the number of objects in the index.
+   *
+   * @return {number}
+   */
+  size() { return this.getAll().length }
+
+  /**
+   * Removes every object from the index.
+   */
+  clear() { throw new Error(`${this.constructor.name} does not implement clear`) }
+
+}
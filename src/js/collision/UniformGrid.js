@@ -0,0 +1,127 @@
+/**
+ * Spatial index that splits space into equally sized cubic cells stored in a hash map. Each object is registered in
+ * every cell its bounding sphere overlaps, so objects sitting on a cell boundary are still found from either side.
+ */
+class UniformGrid extends SpatialIndex {
+
+  /**
+   * Edge length of each cell.
+   */
+  #cellSize
+
+  /**
+   * Maps cell keys to the set of objects that overlap that cell.
+   *
+   * @type {Map<string, Set<THREE.Object3D>>}
+   */
+  #cells
+
+  /**
+   * Maps each indexed object to the keys of the cells it was registered in.
+   *
+   * @type {Map<THREE.Object3D, Array<string>>}
+   */
+  #objects
+
+  /**
+   * UniformGrid class constructor.
+   *
+   * @param cellSize {number} edge length of each cell (ideally around twice the biggest bounding sphere radius)
+   */
+  constructor(cellSize) {
+    super()
+    this.#cellSize = cellSize
+    this.#cells = new Map()
+    this.#objects = new Map()
+  }
+
+  /**
+   * Gets the keys of every cell overlapped by the bounding box of a sphere.
+   *
+   * @param position {THREE.Vector3} sphere center
+   * @param radius {number} sphere radius
+   *
+   * @return {Array<string>}
+   */
+  #cellKeys(position, radius) {
+    let keys = []
+    let [minX, minY, minZ] = [position.x - radius, position.y - radius, position.z - radius].map(this.#toCell)
+    let [maxX, maxY, maxZ] = [position.x + radius, position.y + radius, position.z + radius].map(this.#toCell)
+
+    for (let i = minX; i <= maxX; i++)
+      for (let j = minY; j <= maxY; j++)
+        for (let k = minZ; k <= maxZ; k++)
+          keys.push(`${i},${j},${k}`)
+
+    return keys
+  }
+
+  /**
+   * Converts a coordinate into a cell coordinate.
+   *
+   * @param value {number}
+   *
+   * @return {number}
+   */
+  #toCell = (value) => Math.floor(value / this.#cellSize)
+
+  insert(object) {
+    let keys = this.#cellKeys(object.position, object.raioCol)
+    keys.forEach((key) => {
+      if (!this.#cells.has(key))
+        this.#cells.set(key, new Set())
+      this.#cells.get(key).add(object)
+    })
+    this.#objects.set(object, keys)
+  }
+
+  remove(object) {
+    let keys = this.#objects.get(object)
+    if (keys === undefined)
+      return
+
+    keys.forEach((key) => {
+      let cell = this.#cells.get(key)
+      cell.delete(object)
+      if (cell.size === 0)
+        this.#cells.delete(key)
+    })
+    this.#objects.delete(object)
+  }
+
+  /**
+   * Only touches the cells when the object has moved into a different set of cells, so that objects that keep moving
+   * inside the same cells are cheap to update every frame.
+   *
+   * @param object {THREE.Object3D}
+   */
+  update(object) {
+    let previous = this.#objects.get(object)
+    let keys = this.#cellKeys(object.position, object.raioCol)
+    if (previous !== undefined && previous.length === keys.length && previous.every((key, i) => key === keys[i]))
+      return
+
+    this.remove(object)
+    this.insert(object)
+  }
+
+  queryNeighbours(position, radius) {
+    let found = new Set()
+    this.#cellKeys(position, radius).forEach((key) => {
+      let cell = this.#cells.get(key)
+      if (cell !== undefined)
+        cell.forEach((object) => found.add(object))
+    })
+    return [...found]
+  }
+
+  getAll() { return [...this.#objects.keys()] }
+
+  size() { return this.#objects.size }
+
+  clear() {
+    this.#cells.clear()
+    this.#objects.clear()
+  }
+
+}
@@ -1,7 +1,7 @@
 /**
  * Manages and instantiates cameras in the scene.
  */
-class CameraPlugin {
+class CameraPlugin extends ContextPlugin {
 
   /**
    * Holds current camera being used in the scene.
@@ -14,7 +14,9 @@ class CameraPlugin {
   #front
 
   /**
-   * Three.js camera that follows the spaceship in the current scene.
+   * Spring driven camera that chases the spaceship in the current scene.
+   *
+   * @type {ChaseCamera}
    */
   #follow
 
@@ -24,15 +26,81 @@ class CameraPlugin {
   #side
 
   /**
-   * CameraPlugin class constructor. We set the frontal camera as the default one.
+   * Mouse driven camera that orbits the globe.
+   *
+   * @type {OrbitCamera}
+   */
+  #orbit
+
+  /**
+   * Every camera managed by this plugin, mapped by camera type.
+   *
+   * @type {Map<number, THREE.Camera>}
+   */
+  #cameras
+
+  /**
+   * Current width / height ratio of the canvas the cameras render to.
+   */
+  #aspect
+
+  /**
+   * Animates camera switches.
+   *
+   * @type {CameraTransition}
+   */
+  #transition
+
+  /**
+   * Whether camera switches are animated (if not, cameras jump-cut).
+   */
+  #transitionsEnabled
+
+  /**
+   * Duration of animated camera switches (seconds).
+   */
+  #transitionDuration
+
+  /**
+   * Easing applied to animated camera switches (see Easing).
+   */
+  #transitionEasing
+
+  /**
+   * CameraPlugin class constructor. Cameras that look at the scene are built once the plugin is initialized.
+   *
+   * @param domElement {HTMLElement} element that receives pointer input for the orbit camera (renderer canvas)
+   */
+  constructor(domElement) {
+    super()
+    this.#cameras = new Map()
+    this.#aspect = window.innerWidth / window.innerHeight
+    this.#transition = new CameraTransition(this.#aspect)
+    this.#transitionsEnabled = true
+    this.#transitionDuration = _TRANSITION_DURATION
+    this.#transitionEasing = Easing.EASE_IN_OUT_CUBIC
+    this.#buildFollowCamera()
+    this.#buildOrbitCamera(domElement)
+  }
+
+  /**
+   * Builds the cameras that look at the scene. We set the frontal camera as the default one.
+   *
+   * @param scene {THREE.Scene}
    */
-  constructor(scene, followCamera) {
+  init(scene) {
     this.#buildFrontCamera(scene)
-    this.#buildFollowCamera(followCamera)
     this.#buildSideCamera(scene)
     this.#currentCamera = this.#front
   }
 
+  /**
+   * Stops listening to pointer input.
+   */
+  dispose() {
+    this.#orbit.dispose()
+  }
+
   /**
    * Builds Three.js camera with a front view of the scene.
    */
@@ -44,13 +112,35 @@ class CameraPlugin {
     camera.position.z = 300
     camera.lookAt(scene.position)
     this.#front = camera
+    this.addCamera(__FRONTAL, camera)
   }
 
   /**
    * Builds Three.js camera with a follow view of the spaceship.
    */
-  #buildFollowCamera(camera) {
-    this.#follow = camera
+  #buildFollowCamera() {
+    this.#follow = new ChaseCamera(_EARTH_RADIUS)
+    this.addCamera(__FOLLOW, this.#follow.getCamera())
+  }
+
+  /**
+   * Updates object chased by the follow camera.
+   *
+   * @param target {THREE.Object3D} spaceship primary object
+   */
+  setFollowTarget(target) {
+    this.#follow.setTarget(target)
+  }
+
+  /**
+   * Moves the follow camera closer or farther and higher or lower.
+   *
+   * @param distance {number} -1 (closer) to 1 (farther)
+   * @param height {number} -1 (lower) to 1 (higher)
+   * @param delta {number} elapsed time since the previous frame
+   */
+  adjustFollowCamera(distance, height, delta) {
+    this.#follow.adjust(distance, height, delta)
   }
 
   /**
@@ -63,33 +153,163 @@ class CameraPlugin {
     camera.position.z = 0
     camera.lookAt(scene.position)
     this.#side = camera
+    this.addCamera(__SIDE, camera)
+  }
+
+  /**
+   * Builds mouse driven camera that orbits the globe.
+   */
+  #buildOrbitCamera(domElement) {
+    this.#orbit = new OrbitCamera(domElement, _EARTH_RADIUS)
+    this.addCamera(__ORBIT, this.#orbit.getCamera())
   }
 
   /**
-   * Returns the current camera being used.
+   * Moves the orbit camera back to its initial view.
+   */
+  resetOrbitCamera() {
+    this.#orbit.reset()
+  }
+
+  /**
+   * Registers a camera so that it can be selected with setCamera and is kept in sync with the canvas size. The camera
+   * is fitted to the current canvas size straight away.
+   *
+   * @param type {number} type used to select the camera
+   * @param camera {THREE.Camera}
+   */
+  addCamera(type, camera) {
+    this.#cameras.set(type, camera)
+    CameraPlugin.fit(camera, this.#aspect)
+  }
+
+  /**
+   * Gets every camera managed by this plugin.
+   *
+   * @return {Map<number, THREE.Camera>} cameras mapped by type
+   */
+  getCameras() {
+    return this.#cameras
+  }
+
+  /**
+   * Gets the width / height ratio of the canvas the cameras render to.
+   *
+   * @return {number}
+   */
+  getAspect() {
+    return this.#aspect
+  }
+
+  /**
+   * Updates every camera after the canvas was resized.
+   *
+   * @param width {number} canvas width
+   * @param height {number} canvas height
+   */
+  resize(width, height) {
+    this.#aspect = width / height
+    this.#orbit.setViewportHeight(height)
+    this.#cameras.forEach((camera) => CameraPlugin.fit(camera, this.#aspect))
+    this.#transition.setAspect(this.#aspect)
+  }
+
+  /**
+   * Tells a camera the height of the canvas region it is rendered to. Only the orbit camera uses it, so that panning
+   * keeps pace with the pointer whatever the view layout.
+   *
+   * @param camera {THREE.Camera}
+   * @param height {number} pixels
+   */
+  setViewportHeight(camera, height) {
+    if (camera === this.#orbit.getCamera())
+      this.#orbit.setViewportHeight(height)
+  }
+
+  /**
+   * Fits a camera to an aspect ratio. Perspective cameras just take the new aspect, orthographic cameras keep their
+   * vertical extent and widen or narrow their horizontal one.
+   *
+   * @param camera {THREE.Camera}
+   * @param aspect {number} width / height ratio
+   */
+  static fit(camera, aspect) {
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect
+    } else if (camera.isOrthographicCamera) {
+      let halfWidth = (camera.top - camera.bottom) / 2 * aspect
+      let center = (camera.left + camera.right) / 2
+      camera.left = center - halfWidth
+      camera.right = center + halfWidth
+    }
+    camera.updateProjectionMatrix()
+  }
+
+  /**
+   * Returns the current camera being used. While a switch is being animated, this is the transition camera.
    *
    * @return {THREE.Camera} camera being used in the scene
    */
   getCurrentCamera() {
-    return this.#currentCamera
+    return this.#transition.isActive() ? this.#transition.getCamera() : this.#currentCamera
   }
 
   /**
-   * Updates currently being used camera.
+   * Returns the type of the current camera (the camera being switched to, if a transition is running).
+   *
+   * @return {number|undefined} camera type
+   */
+  getCurrentType() {
+    return [...this.#cameras.keys()].find((type) => this.#cameras.get(type) === this.#currentCamera)
+  }
+
+  /**
+   * Updates currently being used camera. When transitions are enabled the switch is animated, otherwise it is
+   * immediate.
    *
    * @param newCameraType type of the new camera to be used in the scene
    */
   setCamera(newCameraType) {
-    switch (newCameraType) {
-      case __FRONTAL:
-        this.#currentCamera = this.#front
-        break
-      case __FOLLOW:
-        this.#currentCamera = this.#follow
-        break
-      case __SIDE:
-        this.#currentCamera = this.#side
-    }
+    let camera = this.#cameras.get(newCameraType)
+    if (camera === undefined || camera === this.#currentCamera)
+      return
+
+    if (this.#transitionsEnabled && this.#transitionDuration > 0)
+      this.#transition.start(this.getCurrentCamera(), camera, this.#transitionDuration, this.#transitionEasing)
+    else
+      this.#transition.stop()
+
+    this.#currentCamera = camera
+  }
+
+  /**
+   * Configures animated camera switches.
+   *
+   * @param duration {number} seconds (0 makes switches immediate)
+   * @param easing {function(number): number} see Easing
+   */
+  setTransition(duration, easing = this.#transitionEasing) {
+    this.#transitionDuration = duration
+    this.#transitionEasing = easing
+  }
+
+  /**
+   * Enables or disables animated camera switches.
+   */
+  toggleTransitions() {
+    this.#transitionsEnabled = !this.#transitionsEnabled
+  }
+
+  /**
+   * Advances the running camera transition, if any.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {
+    this.#orbit.setEnabled(this.#currentCamera === this.#orbit.getCamera())
+    this.#orbit.update(delta)
+    this.#follow.update(delta)
+    this.#transition.update(delta)
   }
 
   /**
@@ -119,9 +339,19 @@ class CameraPlugin {
     return __SIDE
   }
 
+  /**
+   * Gets orbit const value. Is mainly used to change the type of camera being used in the scene.
+   *
+   * @returns {number} orbit const value
+   */
+  static get ORBIT() {
+    return __ORBIT
+  }
+
 }
 
 
-/* Holds type of camera that can be instantiated (front, top and side view) */
-const __FRONTAL = 0, __FOLLOW = 1, __SIDE = 2
+/* Holds type of camera that can be instantiated (front, follow, side and orbit view) */
+const __FRONTAL = 0, __FOLLOW = 1, __SIDE = 2, __ORBIT = 3
 const __SHIFT_FRONTAL = 7
+const _TRANSITION_DURATION = 0.8
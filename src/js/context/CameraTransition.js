@@ -0,0 +1,182 @@
+/**
+ * Animates the switch between two cameras with a perspective camera of its own. Each camera is described by the point
+ * it focuses on, its orientation, its distance to that point and the height of the view at that point. Blending these
+ * values (instead of positions and field of view) keeps the focus point framed the same way during a dolly zoom, which
+ * is what allows orthographic cameras to be blended too: they are stood in for by a far away perspective camera with
+ * a narrow field of view that frames the same height.
+ */
+class CameraTransition {
+
+  /**
+   * Perspective camera that is rendered while the transition runs.
+   */
+  #camera
+
+  /**
+   * Pose of the camera the transition started from (snapshot taken when it starts).
+   */
+  #from
+
+  /**
+   * Camera the transition ends at (its pose is read on every frame, so moving cameras can be reached).
+   *
+   * @type {THREE.Camera|null}
+   */
+  #to
+
+  /**
+   * Time elapsed since the transition started (seconds).
+   */
+  #elapsed
+
+  /**
+   * Total duration of the transition (seconds).
+   */
+  #duration
+
+  /**
+   * Easing function applied to the elapsed fraction.
+   */
+  #easing
+
+  /**
+   * CameraTransition class constructor.
+   *
+   * @param aspect {number} width / height ratio of the canvas
+   */
+  constructor(aspect) {
+    this.#camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 1000)
+    this.#to = null
+  }
+
+  /**
+   * Gets the camera that is rendered while the transition runs.
+   *
+   * @return {THREE.PerspectiveCamera}
+   */
+  getCamera() { return this.#camera }
+
+  /**
+   * Checks if a transition is running.
+   *
+   * @return {boolean}
+   */
+  isActive() { return this.#to !== null }
+
+  /**
+   * Gets the camera the running transition ends at.
+   *
+   * @return {THREE.Camera|null}
+   */
+  getTarget() { return this.#to }
+
+  /**
+   * Starts a transition. Starting one while another runs continues from wherever the previous one was.
+   *
+   * @param from {THREE.Camera} camera currently rendered
+   * @param to {THREE.Camera} camera to end at
+   * @param duration {number} seconds
+   * @param easing {function(number): number} see Easing
+   */
+  start(from, to, duration, easing) {
+    this.#from = CameraTransition.#pose(from)
+    this.#to = to
+    this.#elapsed = 0
+    this.#duration = duration
+    this.#easing = easing
+    this.#apply(this.#from)
+  }
+
+  /**
+   * Stops the running transition.
+   */
+  stop() {
+    this.#to = null
+  }
+
+  /**
+   * Advances the transition.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   *
+   * @return {boolean} true if the transition just finished
+   */
+  update(delta) {
+    if (!this.isActive())
+      return false
+
+    this.#elapsed += delta
+    let t = this.#easing(Math.min(this.#elapsed / this.#duration, 1))
+    let to = CameraTransition.#pose(this.#to)
+
+    this.#apply({
+      focus: this.#from.focus.clone().lerp(to.focus, t),
+      quaternion: this.#from.quaternion.clone().slerp(to.quaternion, t),
+      distance: this.#from.distance ** (1 - t) * to.distance ** t,
+      height: this.#from.height + (to.height - this.#from.height) * t
+    })
+
+    if (this.#elapsed >= this.#duration) {
+      this.stop()
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Updates the transition camera after the canvas was resized.
+   *
+   * @param aspect {number} width / height ratio
+   */
+  setAspect(aspect) {
+    this.#camera.aspect = aspect
+    this.#camera.updateProjectionMatrix()
+  }
+
+  /**
+   * Moves the transition camera to a pose.
+   *
+   * @param pose {{focus: THREE.Vector3, quaternion: THREE.Quaternion, distance: number, height: number}}
+   */
+  #apply(pose) {
+    let forward = new THREE.Vector3(0, 0, -1).applyQuaternion(pose.quaternion)
+    this.#camera.position.copy(pose.focus).addScaledVector(forward, -pose.distance)
+    this.#camera.quaternion.copy(pose.quaternion)
+    this.#camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(pose.height / 2 / pose.distance))
+    this.#camera.near = Math.max(0.1, pose.distance * _NEAR_RATIO)
+    this.#camera.far = pose.distance + _FAR_MARGIN
+    this.#camera.updateProjectionMatrix()
+  }
+
+  /**
+   * Describes a camera by its focus point, orientation, distance to the focus point and view height at that point.
+   * The focus point is the closest point to the center of the world along the camera's line of sight.
+   *
+   * @param camera {THREE.Camera}
+   *
+   * @return {{focus: THREE.Vector3, quaternion: THREE.Quaternion, distance: number, height: number}}
+   */
+  static #pose(camera) {
+    camera.updateMatrixWorld()
+    let position = camera.getWorldPosition(new THREE.Vector3())
+    let quaternion = camera.getWorldQuaternion(new THREE.Quaternion())
+    let forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion)
+    let focusDistance = Math.max(-position.dot(forward), _MIN_FOCUS_DISTANCE)
+    let focus = position.clone().addScaledVector(forward, focusDistance)
+
+    if (camera.isOrthographicCamera) {
+      let height = (camera.top - camera.bottom) / camera.zoom
+      return {focus: focus, quaternion: quaternion, distance: _ORTHOGRAPHIC_DISTANCE, height: height}
+    }
+
+    let height = 2 * focusDistance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom
+    return {focus: focus, quaternion: quaternion, distance: focusDistance, height: height}
+  }
+
+}
+
+/* Distance of the perspective camera that stands in for orthographic cameras (far enough to look orthographic) */
+const _ORTHOGRAPHIC_DISTANCE = 20000
+const _MIN_FOCUS_DISTANCE = 10
+const _NEAR_RATIO = 0.01
+const _FAR_MARGIN = 1000
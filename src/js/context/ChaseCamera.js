@@ -0,0 +1,179 @@
+/**
+ * Camera that chases the spaceship from behind and above. Instead of being rigidly attached to the spaceship, it is
+ * pulled towards its ideal spot by a critically damped spring, keeps the globe's surface level on the horizon and is
+ * never allowed inside the globe.
+ */
+class ChaseCamera {
+
+  /**
+   * Three.js camera being controlled.
+   */
+  #camera
+
+  /**
+   * Object being chased (spaceship primary object), or null when there is nothing to chase.
+   *
+   * @type {THREE.Object3D|null}
+   */
+  #target
+
+  /**
+   * Current camera velocity (world units per second).
+   *
+   * @type {THREE.Vector3}
+   */
+  #velocity
+
+  /**
+   * Distance kept behind the target.
+   */
+  #distance
+
+  /**
+   * Height kept above the target.
+   */
+  #height
+
+  /**
+   * Radius of the globe the camera must stay out of.
+   */
+  #globeRadius
+
+  /**
+   * ChaseCamera class constructor.
+   *
+   * @param globeRadius {number} radius of the globe the camera must stay out of
+   */
+  constructor(globeRadius) {
+    this.#camera = new THREE.PerspectiveCamera(80, window.innerWidth / window.innerHeight, 1, 1000)
+    this.#globeRadius = globeRadius
+    this.#target = null
+    this.#velocity = new THREE.Vector3()
+    this.#distance = _CHASE_DISTANCE
+    this.#height = _CHASE_HEIGHT
+  }
+
+  /**
+   * Gets camera being controlled.
+   *
+   * @return {THREE.PerspectiveCamera}
+   */
+  getCamera() { return this.#camera }
+
+  /**
+   * Updates object being chased. The camera jumps straight to its spot behind the new target.
+   *
+   * @param target {THREE.Object3D} object whose local +Y is its heading and whose position is away from the globe
+   */
+  setTarget(target) {
+    this.#target = target
+    this.snap()
+  }
+
+  /**
+   * Gets distance kept behind the target.
+   *
+   * @return {number}
+   */
+  getDistance() { return this.#distance }
+
+  /**
+   * Gets height kept above the target.
+   *
+   * @return {number}
+   */
+  getHeight() { return this.#height }
+
+  /**
+   * Moves the camera closer or farther and higher or lower, within limits.
+   *
+   * @param distance {number} -1 (closer) to 1 (farther)
+   * @param height {number} -1 (lower) to 1 (higher)
+   * @param delta {number} elapsed time since the previous frame
+   */
+  adjust(distance, height, delta) {
+    this.#distance = THREE.MathUtils.clamp(this.#distance + distance * _CHASE_ADJUST_SPEED * delta,
+      _CHASE_MIN_DISTANCE, _CHASE_MAX_DISTANCE)
+    this.#height = THREE.MathUtils.clamp(this.#height + height * _CHASE_ADJUST_SPEED * delta,
+      _CHASE_MIN_HEIGHT, _CHASE_MAX_HEIGHT)
+  }
+
+  /**
+   * Moves the camera straight to its ideal spot, with no velocity left.
+   */
+  snap() {
+    if (this.#target === null)
+      return
+
+    this.#camera.position.copy(this.#idealPosition())
+    this.#velocity.set(0, 0, 0)
+    this.#orient()
+  }
+
+  /**
+   * Pulls the camera towards its ideal spot. The spring is integrated in small steps so that it stays stable when
+   * frames take long.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {
+    if (this.#target === null)
+      return
+
+    let ideal = this.#idealPosition()
+    let damping = 2 * Math.sqrt(_CHASE_STIFFNESS)
+    let steps = Math.ceil(delta / _CHASE_MAX_STEP)
+
+    for (let i = 0; i < steps; i++) {
+      let step = delta / steps
+      let acceleration = ideal.clone().sub(this.#camera.position).multiplyScalar(_CHASE_STIFFNESS)
+        .addScaledVector(this.#velocity, -damping)
+      this.#velocity.addScaledVector(acceleration, step)
+      this.#camera.position.addScaledVector(this.#velocity, step)
+    }
+
+    /* Pushes the camera back out if the spring swung it into the globe */
+    let clearance = this.#globeRadius * _CHASE_CLEARANCE
+    if (this.#camera.position.length() < clearance) {
+      this.#camera.position.setLength(clearance)
+      this.#velocity.set(0, 0, 0)
+    }
+
+    this.#orient()
+  }
+
+  /**
+   * Gets the spot behind and above the target where the camera should be.
+   *
+   * @return {THREE.Vector3}
+   */
+  #idealPosition() {
+    let position = this.#target.getWorldPosition(new THREE.Vector3())
+    let up = position.clone().normalize()
+    let quaternion = this.#target.getWorldQuaternion(new THREE.Quaternion())
+    let heading = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion)
+    return position.addScaledVector(up, this.#height).addScaledVector(heading, -this.#distance)
+  }
+
+  /**
+   * Points the camera at the target. Using the direction away from the globe as the camera's up vector keeps the
+   * surface level on the horizon.
+   */
+  #orient() {
+    let position = this.#target.getWorldPosition(new THREE.Vector3())
+    this.#camera.up.copy(position).normalize()
+    this.#camera.lookAt(position)
+  }
+
+}
+
+const _CHASE_DISTANCE = 30
+const _CHASE_HEIGHT = 20
+const _CHASE_MIN_DISTANCE = 10
+const _CHASE_MAX_DISTANCE = 80
+const _CHASE_MIN_HEIGHT = 2
+const _CHASE_MAX_HEIGHT = 60
+const _CHASE_ADJUST_SPEED = 30
+const _CHASE_STIFFNESS = 40
+const _CHASE_MAX_STEP = 1 / 120
+const _CHASE_CLEARANCE = 1.05
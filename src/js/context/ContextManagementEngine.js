@@ -1,27 +1,127 @@
 /**
- * Describes scene's plugin's context. Also helps manage them.
+ * Describes scene's plugin's context. Also helps manage them: plugins are registered by name with a priority and the
+ * engine calls their lifecycle hooks (see ContextPlugin) in priority order, lowest first. Plugins with the same
+ * priority are called in registration order.
  */
 class ContextManagementEngine {
 
   /**
-   * Holds camera plugin. This camera plugin will manage the cameras state and switch between them.
+   * Scene managed by the plugins.
+   *
+   * @type {THREE.Scene}
+   */
+  #scene
+
+  /**
+   * Registered plugins, sorted by priority.
+   *
+   * @type {Array<{name: string, plugin: ContextPlugin, priority: number}>}
+   */
+  #plugins
+
+  /**
+   * ContextManagementEngine class constructor. Registers the built-in plugins (cameras, lighting, wireframe and
+   * viewports).
+   *
+   * @param scene {THREE.Scene}
+   * @param domElement {HTMLElement} element that receives pointer input (renderer canvas)
+   */
+  constructor(scene, domElement) {
+    this.#scene = scene
+    this.#plugins = []
+
+    let camera = new CameraPlugin(domElement)
+    this.register(_CAMERA_PLUGIN, camera, _CAMERA_PRIORITY)
+    this.register(_LIGHTING_PLUGIN, new LightingPlugin(), _LIGHTING_PRIORITY)
+    this.register(_WIREFRAME_PLUGIN, new WireframePlugin(), _WIREFRAME_PRIORITY)
+    this.register(_VIEWPORT_PLUGIN, new ViewportPlugin(camera), _VIEWPORT_PRIORITY)
+  }
+
+  /**
+   * Registers a plugin and initializes it.
+   *
+   * @param name {string} name the plugin is looked up by
+   * @param plugin {ContextPlugin}
+   * @param priority {number} plugins with a lower priority have their hooks called first
+   *
+   * @return {ContextPlugin} registered plugin
    */
-  #camera
+  register(name, plugin, priority = 0) {
+    if (this.hasPlugin(name))
+      throw new Error(`A plugin named '${name}' is already registered`)
+
+    let index = this.#plugins.findIndex((entry) => entry.priority > priority)
+    this.#plugins.splice(index === -1 ? this.#plugins.length : index, 0, {name, plugin, priority})
+    plugin.init(this.#scene)
+    return plugin
+  }
+
+  /**
+   * Unregisters a plugin and disposes it. Built-in plugins may be unregistered too, the methods that delegate to them
+   * then do nothing.
+   *
+   * @param name {string}
+   *
+   * @return {ContextPlugin|null} plugin that was removed or null if no plugin has that name
+   */
+  unregister(name) {
+    let index = this.#plugins.findIndex((entry) => entry.name === name)
+    if (index === -1)
+      return null
+
+    let [{plugin}] = this.#plugins.splice(index, 1)
+    plugin.dispose()
+    return plugin
+  }
 
   /**
-   * ContextManagementEngine class constructor.
+   * Checks if a plugin is registered.
+   *
+   * @param name {string}
+   *
+   * @return {boolean}
    */
-  constructor(scene, followCamera) {
-    this.#camera = new CameraPlugin(scene, followCamera)
+  hasPlugin(name) {
+    return this.#plugins.some((entry) => entry.name === name)
+  }
+
+  /**
+   * Gets a registered plugin.
+   *
+   * @param name {string}
+   *
+   * @return {ContextPlugin|null} plugin or null if no plugin has that name
+   */
+  getPlugin(name) {
+    return this.#plugins.find((entry) => entry.name === name)?.plugin ?? null
+  }
+
+  /**
+   * Gets the names of the registered plugins, in the order their hooks are called.
+   *
+   * @return {Array<string>}
+   */
+  getPluginNames() {
+    return this.#plugins.map(({name}) => name)
+  }
+
+  /**
+   * Calls a lifecycle hook of every plugin. Works on a copy of the list, so hooks may register or unregister plugins.
+   *
+   * @param hook {string} name of the hook
+   * @param args {...*} arguments passed to the hook
+   */
+  #each(hook, ...args) {
+    this.#plugins.slice().forEach(({plugin}) => plugin[hook](...args))
   }
 
   /**
    * Gets currently being used camera in the scene.
    *
-   * @return {THREE.Camera} camera
+   * @return {THREE.Camera|null} camera or null if the camera plugin was unregistered
    */
   getCamera() {
-    return this.#camera.getCurrentCamera()
+    return this.getCameraPlugin()?.getCurrentCamera() ?? null
   }
 
   /**
@@ -30,7 +130,174 @@ class ContextManagementEngine {
    * @param newCameraType type of the new camera
    */
   setCamera(newCameraType) {
-    this.#camera.setCamera(newCameraType)
+    this.getCameraPlugin()?.setCamera(newCameraType)
+  }
+
+  /**
+   * Updates object chased by the follow camera.
+   *
+   * @param target {THREE.Object3D} spaceship primary object
+   */
+  setFollowTarget(target) {
+    this.getCameraPlugin()?.setFollowTarget(target)
+  }
+
+  /**
+   * Moves the follow camera closer or farther and higher or lower.
+   *
+   * @param distance {number} -1 (closer) to 1 (farther)
+   * @param height {number} -1 (lower) to 1 (higher)
+   * @param delta {number} elapsed time since the previous frame
+   */
+  adjustFollowCamera(distance, height, delta) {
+    this.getCameraPlugin()?.adjustFollowCamera(distance, height, delta)
+  }
+
+  /**
+   * Moves the orbit camera back to its initial view.
+   */
+  resetOrbitCamera() {
+    this.getCameraPlugin()?.resetOrbitCamera()
+  }
+
+  /**
+   * Enables or disables animated camera switches.
+   */
+  toggleCameraTransitions() {
+    this.getCameraPlugin()?.toggleTransitions()
+  }
+
+  /**
+   * Switches to the next viewport layout (single, split, quad, picture in picture).
+   */
+  cycleViewLayout() {
+    this.getViewportPlugin()?.cycleLayout()
+  }
+
+  /**
+   * Switches to the next shading mode (basic, Lambert, Phong, toon).
+   */
+  cycleShadingMode() {
+    this.getLightingPlugin()?.cycleShadingMode()
+  }
+
+  /**
+   * Turns the scene lights on or off.
+   */
+  toggleLighting() {
+    this.getLightingPlugin()?.toggleLighting()
+  }
+
+  /**
+   * Turns the spaceship's spotlight on or off.
+   */
+  toggleSpotlight() {
+    this.getLightingPlugin()?.toggleSpotlight()
+  }
+
+  /**
+   * Mounts the spotlight on the spaceship.
+   *
+   * @param target {THREE.Object3D} spaceship primary object
+   */
+  attachSpotlight(target) {
+    this.getLightingPlugin()?.attachSpotlight(target)
+  }
+
+  /**
+   * Switches every mesh between wireframe and solid.
+   */
+  toggleWireframe() {
+    this.getWireframePlugin()?.toggle()
+  }
+
+  /**
+   * Gets camera plugin.
+   *
+   * @return {CameraPlugin|null} plugin or null if it was unregistered
+   */
+  getCameraPlugin() {
+    return this.getPlugin(_CAMERA_PLUGIN)
+  }
+
+  /**
+   * Gets viewport plugin.
+   *
+   * @return {ViewportPlugin|null} plugin or null if it was unregistered
+   */
+  getViewportPlugin() {
+    return this.getPlugin(_VIEWPORT_PLUGIN)
+  }
+
+  /**
+   * Gets lighting plugin.
+   *
+   * @return {LightingPlugin|null} plugin or null if it was unregistered
+   */
+  getLightingPlugin() {
+    return this.getPlugin(_LIGHTING_PLUGIN)
+  }
+
+  /**
+   * Gets wireframe plugin.
+   *
+   * @return {WireframePlugin|null} plugin or null if it was unregistered
+   */
+  getWireframePlugin() {
+    return this.getPlugin(_WIREFRAME_PLUGIN)
+  }
+
+  /**
+   * Renders the scene with the current viewport layout, between the plugins' before and after render hooks. Without
+   * the viewport plugin the current camera fills the canvas, and nothing is rendered without the camera plugin.
+   *
+   * @param renderer {THREE.WebGLRenderer}
+   * @param scene {THREE.Scene}
+   */
+  render(renderer, scene) {
+    this.#each("beforeRender", renderer, scene)
+    let camera = this.getCamera()
+    if (camera !== null && this.hasPlugin(_VIEWPORT_PLUGIN))
+      this.getViewportPlugin().render(renderer, scene)
+    else if (camera !== null)
+      renderer.render(scene, camera)
+    this.#each("afterRender", renderer, scene)
+  }
+
+  /**
+   * Updates every plugin.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {
+    this.#each("update", delta)
+  }
+
+  /**
+   * Updates every plugin after the canvas was resized.
+   *
+   * @param width {number} canvas width
+   * @param height {number} canvas height
+   */
+  resize(width, height) {
+    this.#each("resize", width, height)
+  }
+
+  /**
+   * Unregisters and disposes every plugin, last called first.
+   */
+  dispose() {
+    this.getPluginNames().reverse().forEach((name) => this.unregister(name))
   }
 
 }
+
+/* Names and priorities of the built-in plugins */
+const _CAMERA_PLUGIN = "camera"
+const _LIGHTING_PLUGIN = "lighting"
+const _WIREFRAME_PLUGIN = "wireframe"
+const _VIEWPORT_PLUGIN = "viewport"
+const _CAMERA_PRIORITY = 0
+const _LIGHTING_PRIORITY = 10
+const _WIREFRAME_PRIORITY = 20
+const _VIEWPORT_PRIORITY = 100
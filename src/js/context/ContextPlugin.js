@@ -0,0 +1,50 @@
+/**
+ * Base class of the plugins managed by ContextManagementEngine. Describes the lifecycle hooks the engine calls; every
+ * hook does nothing by default, so plugins only override the ones they need.
+ */
+class ContextPlugin {
+
+  /**
+   * Called once when the plugin is registered.
+   *
+   * @param scene {THREE.Scene} scene the engine manages
+   */
+  init(scene) {}
+
+  /**
+   * Called on every frame, before rendering.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {}
+
+  /**
+   * Called after the canvas was resized.
+   *
+   * @param width {number} canvas width
+   * @param height {number} canvas height
+   */
+  resize(width, height) {}
+
+  /**
+   * Called right before the scene is rendered.
+   *
+   * @param renderer {THREE.WebGLRenderer}
+   * @param scene {THREE.Scene}
+   */
+  beforeRender(renderer, scene) {}
+
+  /**
+   * Called right after the scene was rendered.
+   *
+   * @param renderer {THREE.WebGLRenderer}
+   * @param scene {THREE.Scene}
+   */
+  afterRender(renderer, scene) {}
+
+  /**
+   * Called once when the plugin is unregistered. Must undo whatever the plugin added to the scene or the page.
+   */
+  dispose() {}
+
+}
@@ -0,0 +1,9 @@
+/**
+ * Easing functions. Each one maps the elapsed fraction of an animation (0 to 1) to the fraction of the way travelled.
+ */
+const Easing = {
+  LINEAR: (t) => t,
+  EASE_IN_OUT_QUAD: (t) => t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2,
+  EASE_IN_OUT_CUBIC: (t) => t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2,
+  EASE_OUT_EXPO: (t) => t >= 1 ? 1 : 1 - 2 ** (-10 * t)
+}
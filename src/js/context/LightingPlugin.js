@@ -0,0 +1,212 @@
+/**
+ * Lights the scene with a sun, an ambient light and an optional spotlight carried by the spaceship, and swaps the
+ * material of every mesh to the current shading mode. Each material keeps its variants for the other modes, so
+ * switching back and forth reuses them and only copies over the color and texture.
+ */
+class LightingPlugin extends ContextPlugin {
+
+  /**
+   * Scene whose meshes are shaded.
+   *
+   * @type {THREE.Scene}
+   */
+  #scene
+
+  /**
+   * Directional light that stands for the sun.
+   *
+   * @type {THREE.DirectionalLight}
+   */
+  #sun
+
+  /**
+   * Light that reaches every side of every object.
+   *
+   * @type {THREE.AmbientLight}
+   */
+  #ambient
+
+  /**
+   * Spotlight that lights the way ahead of the spaceship.
+   *
+   * @type {THREE.SpotLight}
+   */
+  #spotlight
+
+  /**
+   * Current shading mode (see ShadingMode).
+   */
+  #shadingMode
+
+  /**
+   * Whether lights are on. While off, the scene is displayed with basic materials whatever the shading mode.
+   */
+  #lightingEnabled
+
+  /**
+   * Variants of each material, indexed by shading mode. Every variant of a material points to the same object.
+   *
+   * @type {WeakMap<THREE.Material, Object<number, THREE.Material>>}
+   */
+  #variants
+
+  /**
+   * LightingPlugin class constructor.
+   */
+  constructor() {
+    super()
+    this.#shadingMode = ShadingMode.PHONG
+    this.#lightingEnabled = true
+    this.#variants = new WeakMap()
+
+    this.#sun = new THREE.DirectionalLight(0xffffff, _SUN_INTENSITY)
+    this.#sun.position.copy(_SUN_POSITION)
+    this.#ambient = new THREE.AmbientLight(0xffffff, _AMBIENT_INTENSITY)
+    this.#spotlight = new THREE.SpotLight(0xffffff, _SPOTLIGHT_INTENSITY, _SPOTLIGHT_DISTANCE, _SPOTLIGHT_ANGLE,
+      _SPOTLIGHT_PENUMBRA)
+    this.#spotlight.target.position.copy(_SPOTLIGHT_AIM)
+    this.#spotlight.add(this.#spotlight.target)
+  }
+
+  /**
+   * Adds the sun and the ambient light to the scene.
+   *
+   * @param scene {THREE.Scene} scene whose meshes are shaded
+   */
+  init(scene) {
+    this.#scene = scene
+    scene.add(this.#sun, this.#ambient)
+  }
+
+  /**
+   * Removes every light. Meshes keep their current material.
+   */
+  dispose() {
+    this.#scene.remove(this.#sun, this.#ambient)
+    this.#spotlight.removeFromParent()
+  }
+
+  /**
+   * Gets current shading mode.
+   *
+   * @return {number} see ShadingMode
+   */
+  getShadingMode() { return this.#shadingMode }
+
+  /**
+   * Updates current shading mode. Materials are swapped on the next update.
+   *
+   * @param mode {number} see ShadingMode
+   */
+  setShadingMode(mode) { this.#shadingMode = mode }
+
+  /**
+   * Switches to the next shading mode.
+   */
+  cycleShadingMode() {
+    let modes = Object.values(ShadingMode)
+    this.setShadingMode(modes[(modes.indexOf(this.getShadingMode()) + 1) % modes.length])
+  }
+
+  /**
+   * Checks if lights are on.
+   *
+   * @return {boolean}
+   */
+  isLightingEnabled() { return this.#lightingEnabled }
+
+  /**
+   * Turns every light on or off. Lights make no difference while off, since every mesh is then displayed with a basic
+   * material.
+   */
+  toggleLighting() {
+    this.#lightingEnabled = !this.#lightingEnabled
+    this.#sun.visible = this.#ambient.visible = this.#lightingEnabled
+  }
+
+  /**
+   * Turns the spaceship's spotlight on or off (it only shines while lights are on).
+   */
+  toggleSpotlight() {
+    this.#spotlight.visible = !this.#spotlight.visible
+  }
+
+  /**
+   * Mounts the spotlight on an object, so that it moves and turns with it.
+   *
+   * @param target {THREE.Object3D} spaceship primary object
+   */
+  attachSpotlight(target) {
+    target.add(this.#spotlight)
+  }
+
+  /**
+   * Swaps the material of every mesh that does not match the current shading mode (meshes added since the previous
+   * update included).
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {
+    let mode = this.#lightingEnabled ? this.#shadingMode : ShadingMode.BASIC
+    let type = _SHADING_MATERIALS[mode]
+
+    this.#scene.traverse((object) => {
+      if (object.isMesh && !Array.isArray(object.material) && !(object.material instanceof type))
+        object.material = this.#variant(object.material, mode)
+    })
+  }
+
+  /**
+   * Gets the variant of a material for a shading mode, creating it if needed. Color and texture are copied from the
+   * material being replaced, since they may have changed after the variant was created.
+   *
+   * @param material {THREE.Material} material being replaced
+   * @param mode {number} see ShadingMode
+   *
+   * @return {THREE.Material}
+   */
+  #variant(material, mode) {
+    let variants = this.#variants.get(material)
+    if (variants === undefined) {
+      variants = {}
+      this.#variants.set(material, variants)
+    }
+
+    let variant = variants[mode]
+    if (variant === undefined) {
+      variant = new _SHADING_MATERIALS[mode]({
+        side: material.side,
+        transparent: material.transparent,
+        opacity: material.opacity,
+        wireframe: material.wireframe
+      })
+      variants[mode] = variant
+      this.#variants.set(variant, variants)
+    }
+
+    if (variant.map !== material.map)
+      variant.needsUpdate = true
+    variant.map = material.map
+    variant.color.copy(material.color)
+    variant.wireframe = material.wireframe
+    return variant
+  }
+
+}
+
+/* Material class used by each shading mode */
+const _SHADING_MATERIALS = {
+  [ShadingMode.BASIC]: THREE.MeshBasicMaterial,
+  [ShadingMode.LAMBERT]: THREE.MeshLambertMaterial,
+  [ShadingMode.PHONG]: THREE.MeshPhongMaterial,
+  [ShadingMode.TOON]: THREE.MeshToonMaterial
+}
+const _SUN_POSITION = new THREE.Vector3(200, 100, 150)
+const _SUN_INTENSITY = 0.9
+const _AMBIENT_INTENSITY = 0.3
+const _SPOTLIGHT_INTENSITY = 1.5
+const _SPOTLIGHT_DISTANCE = 80
+const _SPOTLIGHT_ANGLE = Math.PI / 6
+const _SPOTLIGHT_PENUMBRA = 0.3
+/* Aim of the spotlight in the spaceship's frame: ahead (+y) and down towards the world (+z) */
+const _SPOTLIGHT_AIM = new THREE.Vector3(0, 20, 12)
@@ -0,0 +1,271 @@
+/**
+ * Free camera that orbits around a target point and is driven with the mouse (or a finger): dragging rotates,
+ * right-dragging (or shift-dragging) pans and the wheel zooms. Movements are damped so that the camera glides to a
+ * stop, and the camera is never allowed inside the globe.
+ */
+class OrbitCamera {
+
+  /**
+   * Three.js camera being controlled.
+   */
+  #camera
+
+  /**
+   * Whether pointer input is being handled (only while this camera is the one being used).
+   */
+  #enabled
+
+  /**
+   * Point the camera orbits around and looks at.
+   *
+   * @type {THREE.Vector3}
+   */
+  #target
+
+  /**
+   * Camera position relative to the target.
+   *
+   * @type {THREE.Spherical}
+   */
+  #spherical
+
+  /**
+   * Rotation requested by the pointer that was not applied yet ({theta, phi} in radians).
+   */
+  #rotateDelta
+
+  /**
+   * Pan requested by the pointer that was not applied yet (world units).
+   *
+   * @type {THREE.Vector3}
+   */
+  #panDelta
+
+  /**
+   * Zoom requested by the wheel that was not applied yet (logarithm of the distance scale).
+   */
+  #zoomDelta
+
+  /**
+   * Pointer dragging the camera ({id, x, y, pan}) or null when released.
+   */
+  #drag
+
+  /**
+   * Radius of the globe the camera must stay out of.
+   */
+  #globeRadius
+
+  /**
+   * Element that receives pointer input.
+   *
+   * @type {HTMLElement}
+   */
+  #domElement
+
+  /**
+   * Height of the canvas region the camera is rendered to (pixels), used to convert pointer movement to world units.
+   */
+  #viewportHeight
+
+  /**
+   * OrbitCamera class constructor.
+   *
+   * @param domElement {HTMLElement} element that receives pointer input (renderer canvas)
+   * @param globeRadius {number} radius of the globe the camera must stay out of
+   */
+  constructor(domElement, globeRadius) {
+    this.#camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 1, 2000)
+    this.#globeRadius = globeRadius
+    this.#enabled = false
+    this.#viewportHeight = window.innerHeight
+    this.#drag = null
+    this.#target = new THREE.Vector3()
+    this.#spherical = new THREE.Spherical()
+    this.reset()
+
+    this.#domElement = domElement
+    domElement.addEventListener("pointerdown", this.#onPointerDown)
+    domElement.addEventListener("pointermove", this.#onPointerMove)
+    domElement.addEventListener("pointerup", this.#onPointerUp)
+    domElement.addEventListener("pointercancel", this.#onPointerUp)
+    domElement.addEventListener("wheel", this.#onWheel, {passive: false})
+    domElement.addEventListener("contextmenu", this.#onContextMenu)
+  }
+
+  /**
+   * Stops listening to pointer input.
+   */
+  dispose() {
+    this.#domElement.removeEventListener("pointerdown", this.#onPointerDown)
+    this.#domElement.removeEventListener("pointermove", this.#onPointerMove)
+    this.#domElement.removeEventListener("pointerup", this.#onPointerUp)
+    this.#domElement.removeEventListener("pointercancel", this.#onPointerUp)
+    this.#domElement.removeEventListener("wheel", this.#onWheel)
+    this.#domElement.removeEventListener("contextmenu", this.#onContextMenu)
+    this.setEnabled(false)
+  }
+
+  /**
+   * Keeps the browser menu from opening while right-dragging the camera.
+   *
+   * @param event {MouseEvent}
+   */
+  #onContextMenu = (event) => {
+    if (this.#enabled)
+      event.preventDefault()
+  }
+
+  /**
+   * Gets camera being controlled.
+   *
+   * @return {THREE.PerspectiveCamera}
+   */
+  getCamera() { return this.#camera }
+
+  /**
+   * Updates the height of the canvas region the camera is rendered to.
+   *
+   * @param height {number} pixels
+   */
+  setViewportHeight(height) { this.#viewportHeight = height }
+
+  /**
+   * Enables or disables pointer input. A drag in progress is dropped when disabled.
+   *
+   * @param enabled {boolean}
+   */
+  setEnabled(enabled) {
+    this.#enabled = enabled
+    if (!enabled)
+      this.#drag = null
+  }
+
+  /**
+   * Moves the camera back to its initial view of the globe.
+   */
+  reset() {
+    this.#target.set(0, 0, 0)
+    this.#spherical.set(this.#globeRadius * _ORBIT_START_DISTANCE, _ORBIT_START_PHI, _ORBIT_START_THETA)
+    this.#rotateDelta = {theta: 0, phi: 0}
+    this.#panDelta = new THREE.Vector3()
+    this.#zoomDelta = 0
+    this.#place()
+  }
+
+  /**
+   * Applies part of the pending rotation, pan and zoom. The applied fraction depends on the elapsed time, so the
+   * damping feels the same at any frame rate.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {
+    let fraction = 1 - Math.exp(-_ORBIT_DAMPING * delta)
+
+    this.#spherical.theta += this.#rotateDelta.theta * fraction
+    this.#spherical.phi += this.#rotateDelta.phi * fraction
+    this.#spherical.radius *= Math.exp(this.#zoomDelta * fraction)
+    this.#target.addScaledVector(this.#panDelta, fraction)
+
+    this.#rotateDelta.theta *= 1 - fraction
+    this.#rotateDelta.phi *= 1 - fraction
+    this.#zoomDelta *= 1 - fraction
+    this.#panDelta.multiplyScalar(1 - fraction)
+
+    this.#place()
+  }
+
+  /**
+   * Applies the limits and moves the camera to its spherical coordinates around the target.
+   */
+  #place() {
+    this.#spherical.phi = THREE.MathUtils.clamp(this.#spherical.phi, _ORBIT_MIN_PHI, Math.PI - _ORBIT_MIN_PHI)
+    this.#spherical.radius = THREE.MathUtils.clamp(this.#spherical.radius,
+      this.#globeRadius * _ORBIT_MIN_DISTANCE, this.#globeRadius * _ORBIT_MAX_DISTANCE)
+    this.#target.clampLength(0, this.#globeRadius * _ORBIT_MAX_PAN)
+
+    this.#camera.position.setFromSpherical(this.#spherical).add(this.#target)
+
+    /* Panning can bring the camera close to the globe even within the distance limits, so it is pushed back out */
+    if (this.#camera.position.length() < this.#globeRadius * _ORBIT_MIN_DISTANCE)
+      this.#camera.position.setLength(this.#globeRadius * _ORBIT_MIN_DISTANCE)
+
+    this.#camera.lookAt(this.#target)
+  }
+
+  /**
+   * Starts a drag.
+   *
+   * @param event pointer down event
+   */
+  #onPointerDown = (event) => {
+    if (!this.#enabled || this.#drag !== null)
+      return
+
+    event.target.setPointerCapture?.(event.pointerId)
+    this.#drag = {id: event.pointerId, x: event.clientX, y: event.clientY, pan: event.button === 2 || event.shiftKey}
+  }
+
+  /**
+   * Rotates or pans according to how far the pointer moved since the previous event.
+   *
+   * @param event pointer move event
+   */
+  #onPointerMove = (event) => {
+    if (this.#drag === null || event.pointerId !== this.#drag.id)
+      return
+
+    let dx = event.clientX - this.#drag.x
+    let dy = event.clientY - this.#drag.y
+    this.#drag.x = event.clientX
+    this.#drag.y = event.clientY
+
+    if (this.#drag.pan) {
+      /* Converts pixels to world units at the target's distance, so the target sticks to the pointer */
+      let scale = 2 * this.#spherical.radius * Math.tan(THREE.MathUtils.degToRad(this.#camera.fov) / 2) /
+        this.#viewportHeight
+      let right = new THREE.Vector3().setFromMatrixColumn(this.#camera.matrix, 0)
+      let up = new THREE.Vector3().setFromMatrixColumn(this.#camera.matrix, 1)
+      this.#panDelta.addScaledVector(right, -dx * scale).addScaledVector(up, dy * scale)
+    } else {
+      this.#rotateDelta.theta -= dx * _ORBIT_ROTATE_SPEED
+      this.#rotateDelta.phi -= dy * _ORBIT_ROTATE_SPEED
+    }
+  }
+
+  /**
+   * Ends a drag.
+   *
+   * @param event pointer up event
+   */
+  #onPointerUp = (event) => {
+    if (this.#drag !== null && event.pointerId === this.#drag.id)
+      this.#drag = null
+  }
+
+  /**
+   * Zooms in or out.
+   *
+   * @param event wheel event
+   */
+  #onWheel = (event) => {
+    if (!this.#enabled)
+      return
+
+    event.preventDefault()
+    this.#zoomDelta += event.deltaY * _ORBIT_ZOOM_SPEED
+  }
+
+}
+
+/* Distances are given in globe radii */
+const _ORBIT_START_DISTANCE = 3.5
+const _ORBIT_MIN_DISTANCE = 1.4
+const _ORBIT_MAX_DISTANCE = 10
+const _ORBIT_MAX_PAN = 2
+const _ORBIT_START_PHI = Math.PI / 3
+const _ORBIT_START_THETA = Math.PI / 4
+const _ORBIT_MIN_PHI = 0.01
+const _ORBIT_ROTATE_SPEED = 0.005
+const _ORBIT_ZOOM_SPEED = 0.001
+const _ORBIT_DAMPING = 10
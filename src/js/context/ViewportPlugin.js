@@ -0,0 +1,154 @@
+/**
+ * Renders one or more cameras of the camera plugin at once, each to its own region of the canvas (using the renderer's
+ * viewport and scissor test). Cameras are fitted to the aspect of their region while being rendered.
+ */
+class ViewportPlugin extends ContextPlugin {
+
+  /**
+   * Camera plugin that owns the cameras being rendered.
+   *
+   * @type {CameraPlugin}
+   */
+  #cameras
+
+  /**
+   * Current layout (see ViewLayout).
+   */
+  #layout
+
+  /**
+   * ViewportPlugin class constructor. Starts with the whole canvas showing the current camera.
+   *
+   * @param cameras {CameraPlugin} camera plugin that owns the cameras being rendered
+   */
+  constructor(cameras) {
+    super()
+    this.#cameras = cameras
+    this.#layout = ViewLayout.SINGLE
+  }
+
+  /**
+   * Gets current layout.
+   *
+   * @return {number} see ViewLayout
+   */
+  getLayout() { return this.#layout }
+
+  /**
+   * Updates current layout.
+   *
+   * @param layout {number} see ViewLayout
+   */
+  setLayout(layout) { this.#layout = layout }
+
+  /**
+   * Switches to the next layout.
+   */
+  cycleLayout() {
+    let layouts = Object.values(ViewLayout)
+    this.setLayout(layouts[(layouts.indexOf(this.getLayout()) + 1) % layouts.length])
+  }
+
+  /**
+   * Builds the list of regions to render for the current layout. Regions are given as fractions of the canvas with
+   * the origin at the bottom left corner, like WebGL viewports.
+   *
+   * @return {Array<{camera: THREE.Camera, x: number, y: number, width: number, height: number, border: boolean}>}
+   */
+  #regions() {
+    let current = this.#cameras.getCurrentCamera()
+    let cameras = this.#cameras.getCameras()
+
+    /* Secondary views show the follow camera, or the front one if the follow camera is already the main view */
+    let secondary = cameras.get(this.#cameras.getCurrentType() === CameraPlugin.FOLLOW ?
+      CameraPlugin.FRONTAL : CameraPlugin.FOLLOW)
+
+    switch (this.getLayout()) {
+      case ViewLayout.SPLIT:
+        return [
+          {camera: current, x: 0, y: 0, width: 0.5, height: 1},
+          {camera: secondary, x: 0.5, y: 0, width: 0.5, height: 1}
+        ]
+      case ViewLayout.QUAD:
+        return [
+          {camera: cameras.get(CameraPlugin.FRONTAL), x: 0, y: 0.5, width: 0.5, height: 0.5},
+          {camera: cameras.get(CameraPlugin.SIDE), x: 0.5, y: 0.5, width: 0.5, height: 0.5},
+          {camera: cameras.get(CameraPlugin.FOLLOW), x: 0, y: 0, width: 0.5, height: 0.5},
+          {camera: cameras.get(CameraPlugin.ORBIT), x: 0.5, y: 0, width: 0.5, height: 0.5}
+        ]
+      case ViewLayout.PICTURE_IN_PICTURE:
+        return [
+          {camera: current, x: 0, y: 0, width: 1, height: 1},
+          {camera: secondary, x: 1 - _PIP_SIZE - _PIP_MARGIN, y: _PIP_MARGIN, width: _PIP_SIZE, height: _PIP_SIZE,
+            border: true}
+        ]
+      default:
+        return [{camera: current, x: 0, y: 0, width: 1, height: 1}]
+    }
+  }
+
+  /**
+   * Renders the scene with the current layout.
+   *
+   * @param renderer {THREE.WebGLRenderer}
+   * @param scene {THREE.Scene}
+   */
+  render(renderer, scene) {
+    let size = renderer.getSize(new THREE.Vector2())
+
+    if (this.getLayout() === ViewLayout.SINGLE) {
+      this.#cameras.setViewportHeight(this.#cameras.getCurrentCamera(), size.y)
+      renderer.render(scene, this.#cameras.getCurrentCamera())
+      return
+    }
+
+    let regions = this.#regions()
+    renderer.setScissorTest(true)
+    regions.forEach(({camera, x, y, width, height, border}) => {
+      let left = Math.floor(x * size.x)
+      let bottom = Math.floor(y * size.y)
+      let w = Math.floor(width * size.x)
+      let h = Math.floor(height * size.y)
+
+      if (border)
+        ViewportPlugin.#drawBorder(renderer, left, bottom, w, h)
+
+      renderer.setViewport(left, bottom, w, h)
+      renderer.setScissor(left, bottom, w, h)
+      CameraPlugin.fit(camera, w / h)
+      this.#cameras.setViewportHeight(camera, h)
+      renderer.render(scene, camera)
+    })
+    renderer.setScissorTest(false)
+
+    /* Gives the rendered cameras back the canvas aspect, so that nothing reading them outside rendering is affected */
+    renderer.setViewport(0, 0, size.x, size.y)
+    regions.forEach(({camera}) => CameraPlugin.fit(camera, this.#cameras.getAspect()))
+  }
+
+  /**
+   * Clears a frame around a region so that an inset view stands out from the view behind it.
+   *
+   * @param renderer {THREE.WebGLRenderer}
+   * @param left {number} region left edge (pixels)
+   * @param bottom {number} region bottom edge (pixels)
+   * @param width {number} region width (pixels)
+   * @param height {number} region height (pixels)
+   */
+  static #drawBorder(renderer, left, bottom, width, height) {
+    let color = renderer.getClearColor(new THREE.Color())
+    let alpha = renderer.getClearAlpha()
+
+    renderer.setScissor(left - _PIP_BORDER, bottom - _PIP_BORDER, width + 2 * _PIP_BORDER, height + 2 * _PIP_BORDER)
+    renderer.setClearColor(_PIP_BORDER_COLOR, 1)
+    renderer.clear()
+    renderer.setClearColor(color, alpha)
+  }
+
+}
+
+/* Picture in picture size and margin, as fractions of the canvas */
+const _PIP_SIZE = 0.28
+const _PIP_MARGIN = 0.02
+const _PIP_BORDER = 2
+const _PIP_BORDER_COLOR = 0xffffff
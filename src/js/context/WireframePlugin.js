@@ -0,0 +1,73 @@
+/**
+ * Displays every mesh of the scene as a wireframe. Meshes are checked on every update, so objects added later and
+ * materials swapped by other plugins follow the current setting too.
+ */
+class WireframePlugin extends ContextPlugin {
+
+  /**
+   * Scene whose meshes are affected.
+   *
+   * @type {THREE.Scene}
+   */
+  #scene
+
+  /**
+   * Whether meshes are displayed as wireframes.
+   */
+  #enabled
+
+  /**
+   * WireframePlugin class constructor. Starts with solid meshes.
+   */
+  constructor() {
+    super()
+    this.#enabled = false
+  }
+
+  /**
+   * Keeps the scene whose meshes are affected.
+   *
+   * @param scene {THREE.Scene}
+   */
+  init(scene) {
+    this.#scene = scene
+  }
+
+  /**
+   * Makes every mesh solid again.
+   */
+  dispose() {
+    this.#enabled = false
+    this.update(0)
+  }
+
+  /**
+   * Checks if meshes are displayed as wireframes.
+   *
+   * @return {boolean}
+   */
+  isEnabled() { return this.#enabled }
+
+  /**
+   * Switches between wireframe and solid meshes.
+   */
+  toggle() {
+    this.#enabled = !this.#enabled
+  }
+
+  /**
+   * Applies the current setting to every material in the scene.
+   *
+   * @param delta {number} elapsed time since the previous frame
+   */
+  update(delta) {
+    this.#scene.traverse((object) => {
+      if (!object.isMesh)
+        return
+
+      let materials = Array.isArray(object.material) ? object.material : [object.material]
+      materials.forEach((material) => { material.wireframe = this.#enabled })
+    })
+  }
+
+}
@@ -0,0 +1,232 @@
+/**
+ * Reads gamepads through the Gamepad API and feeds their state into the action layer (see KeyController.addSource).
+ * The left stick (and the d-pad) steer the spaceship with analog strength and buttons trigger the remaining actions.
+ * Gamepads can be plugged and unplugged at any time.
+ */
+class GamepadController {
+
+  /**
+   * Indexes of the gamepads currently connected.
+   *
+   * @type {Set<number>}
+   */
+  #connected
+
+  /**
+   * Strength of each action read in the last poll (0 to 1).
+   *
+   * @type {Map<string, number>}
+   */
+  #values
+
+  /**
+   * One-shot actions whose button went down since they were last consumed (held actions, such as movement, are only
+   * read through getValue).
+   *
+   * @type {Set<string>}
+   */
+  #triggered
+
+  /**
+   * Whether input was released since the last poll (the next poll then triggers nothing).
+   */
+  #released
+
+  /**
+   * Fraction of the stick range that is ignored around the center (avoids drifting with worn sticks).
+   */
+  #deadzone
+
+  /**
+   * Storage where the deadzone is saved (local storage in the browser).
+   */
+  #storage
+
+  /**
+   * GamepadController class constructor.
+   *
+   * @param storage {Storage} where the deadzone is loaded from and saved to
+   */
+  constructor(storage = window.localStorage) {
+    this.#connected = new Set()
+    this.#values = new Map()
+    this.#triggered = new Set()
+    this.#released = false
+    this.#storage = storage
+
+    let saved = Number.parseFloat(this.#storage?.getItem(_DEADZONE_STORAGE_KEY))
+    this.#deadzone = Number.isFinite(saved) ? GamepadController.#clampDeadzone(saved) : _DEFAULT_DEADZONE
+
+    /* Keeps track of plugged gamepads (some browsers only expose a gamepad after one of its buttons is pressed) */
+    window.addEventListener("gamepadconnected", (event) => {
+      this.#connected.add(event.gamepad.index)
+    })
+    window.addEventListener("gamepaddisconnected", (event) => {
+      this.#connected.delete(event.gamepad.index)
+      this.#values.clear()
+      this.#triggered.clear()
+    })
+  }
+
+  /**
+   * Gets the stick deadzone.
+   *
+   * @return {number} fraction of the stick range, between 0 and 1
+   */
+  getDeadzone() { return this.#deadzone }
+
+  /**
+   * Updates and saves the stick deadzone.
+   *
+   * @param deadzone {number} fraction of the stick range, between 0 and 1 (exclusive)
+   */
+  setDeadzone(deadzone) {
+    this.#deadzone = GamepadController.#clampDeadzone(deadzone)
+    try {
+      this.#storage?.setItem(_DEADZONE_STORAGE_KEY, String(this.#deadzone))
+    } catch (error) {
+      console.warn("Unable to save gamepad deadzone", error)
+    }
+  }
+
+  /**
+   * Keeps a deadzone within the range sticks can be scaled with (a deadzone of 1 would leave no range at all).
+   *
+   * @param deadzone {number}
+   *
+   * @return {number}
+   */
+  static #clampDeadzone(deadzone) {
+    return Math.min(Math.max(deadzone, 0), _MAX_DEADZONE)
+  }
+
+  /**
+   * Checks if any gamepad is connected.
+   *
+   * @return {boolean}
+   */
+  isConnected() { return this.#connected.size > 0 }
+
+  /**
+   * Reads every connected gamepad. Has to be called once per frame because the Gamepad API only exposes snapshots.
+   */
+  poll() {
+    if (!this.isConnected())
+      return
+
+    let previous = this.#values
+    this.#values = new Map()
+
+    Array.from(navigator.getGamepads?.() ?? []).forEach((gamepad) => {
+      if (gamepad === null || !gamepad.connected || !this.#connected.has(gamepad.index))
+        return
+
+      this.#readStick(gamepad.axes[_STICK_X_AXIS] ?? 0, gamepad.axes[_STICK_Y_AXIS] ?? 0)
+      Object.entries(_BUTTON_ACTIONS).forEach(([button, action]) => {
+        if (gamepad.buttons[button]?.pressed)
+          this.#merge(action, 1)
+      })
+    })
+
+    /* One-shot actions that just went from released to pressed trigger once */
+    this.#values.forEach((value, action) => {
+      if (!previous.has(action) && !_HELD_ACTIONS.includes(action) && !this.#released)
+        this.#triggered.add(action)
+    })
+    this.#released = false
+  }
+
+  /**
+   * Converts a stick position into movement actions. The deadzone is radial and the remaining range is stretched so
+   * that the stick still reaches full strength at its edge.
+   *
+   * @param x {number} horizontal axis (-1 is left)
+   * @param y {number} vertical axis (-1 is up)
+   */
+  #readStick(x, y) {
+    let magnitude = Math.min(Math.hypot(x, y), 1)
+    if (magnitude <= this.getDeadzone())
+      return
+
+    let scale = (magnitude - this.getDeadzone()) / (1 - this.getDeadzone()) / Math.hypot(x, y)
+    this.#merge(Action.MOVE_UP, -y * scale)
+    this.#merge(Action.MOVE_DOWN, y * scale)
+    this.#merge(Action.MOVE_LEFT, -x * scale)
+    this.#merge(Action.MOVE_RIGHT, x * scale)
+  }
+
+  /**
+   * Records the strength of an action, keeping the strongest input when several gamepads or controls feed it.
+   *
+   * @param action {string} see Action
+   * @param value {number}
+   */
+  #merge(action, value) {
+    if (value > 0)
+      this.#values.set(action, Math.max(this.#values.get(action) ?? 0, Math.min(value, 1)))
+  }
+
+  /**
+   * Gets how strongly an action is being requested.
+   *
+   * @param action {string} see Action
+   *
+   * @return {number} value between 0 and 1
+   */
+  getValue(action) {
+    return this.#values.get(action) ?? 0
+  }
+
+  /**
+   * Checks if an action was triggered since it was last consumed and clears it.
+   *
+   * @param action {string} see Action
+   *
+   * @return {boolean}
+   */
+  consume(action) {
+    return this.#triggered.delete(action)
+  }
+
+  /**
+   * Drops triggered actions that were not consumed yet (used when the game changes state, so that a button pressed
+   * while it was ignored does not fire later).
+   */
+  clearTriggers() {
+    this.#triggered.clear()
+  }
+
+  /**
+   * Forgets every button and stick position read so far. Buttons still held on the next poll do not trigger, they
+   * have to be released and pressed again.
+   */
+  release() {
+    this.#values.clear()
+    this.#triggered.clear()
+    this.#released = true
+  }
+
+}
+
+/* Actions triggered by each button of the standard gamepad layout */
+const _BUTTON_ACTIONS = {
+  0: Action.CAMERA_FRONT,      // A / cross
+  1: Action.CAMERA_SIDE,       // B / circle
+  2: Action.CAMERA_FOLLOW,     // X / square
+  3: Action.TOGGLE_FLIGHT,     // Y / triangle
+  5: Action.BOOST,             // right bumper
+  7: Action.BOOST,             // right trigger
+  8: Action.RESTART,           // back / select
+  9: Action.PAUSE,             // start
+  12: Action.MOVE_UP,          // d-pad up
+  13: Action.MOVE_DOWN,        // d-pad down
+  14: Action.MOVE_LEFT,        // d-pad left
+  15: Action.MOVE_RIGHT        // d-pad right
+}
+/* Actions that last while their control is held instead of triggering once */
+const _HELD_ACTIONS = [Action.MOVE_UP, Action.MOVE_DOWN, Action.MOVE_LEFT, Action.MOVE_RIGHT, Action.BOOST]
+const _STICK_X_AXIS = 0
+const _STICK_Y_AXIS = 1
+const _DEFAULT_DEADZONE = 0.15
+const _MAX_DEADZONE = 0.95
+const _DEADZONE_STORAGE_KEY = "gamepadDeadzone"
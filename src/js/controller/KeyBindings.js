@@ -0,0 +1,215 @@
+/**
+ * Maps actions to keyboard keys (KeyboardEvent.code values). Each action has a fixed number of slots so that it can be
+ * triggered by more than one key (e.g. arrows and WASD). Bindings are saved in the browser's local storage.
+ */
+class KeyBindings {
+
+  /**
+   * Holds the key codes of each action, one entry per slot (null when the slot is empty).
+   *
+   * @type {Map<string, Array<string|null>>}
+   */
+  #bindings
+
+  /**
+   * Storage where bindings are saved (local storage in the browser).
+   */
+  #storage
+
+  /**
+   * KeyBindings class constructor. Loads saved bindings, falling back to the defaults for anything missing.
+   *
+   * @param storage {Storage} where bindings are loaded from and saved to
+   */
+  constructor(storage = window.localStorage) {
+    this.#storage = storage
+    this.#bindings = KeyBindings.#defaults()
+    this.#load()
+  }
+
+  /**
+   * Builds the default bindings.
+   *
+   * @return {Map<string, Array<string|null>>}
+   */
+  static #defaults() {
+    let bindings = new Map()
+    Object.values(Action).forEach((action) => {
+      let codes = _DEFAULT_BINDINGS[action] ?? []
+      bindings.set(action, Array.from({length: _BINDING_SLOTS}, (_, slot) => codes[slot] ?? null))
+    })
+    return bindings
+  }
+
+  /**
+   * Loads saved bindings. Unknown actions and malformed entries are ignored, and so are keys that already trigger
+   * another action (the same check applied when rebinding).
+   */
+  #load() {
+    let saved
+    try {
+      saved = JSON.parse(this.#storage?.getItem(_STORAGE_KEY) ?? "null")
+    } catch (error) {
+      console.warn("Ignoring malformed key bindings in local storage", error)
+      return
+    }
+
+    if (saved === null || typeof saved !== "object")
+      return
+
+    let entries = Object.entries(saved).filter(([action, codes]) => this.#bindings.has(action) && Array.isArray(codes))
+
+    /* Saved actions start empty, so that the default keys they no longer use are free for other actions */
+    entries.forEach(([action]) => this.#bindings.get(action).fill(null))
+
+    entries.forEach(([action, codes]) => {
+      let slots = this.#bindings.get(action)
+      slots.forEach((_, slot) => {
+        let code = codes[slot]
+        if (typeof code !== "string")
+          return
+        if (this.getConflicts(code, action).length === 0)
+          slots[slot] = code
+        else
+          console.warn(`Ignoring saved key ${code} for ${action}, it is already bound to another action`)
+      })
+    })
+  }
+
+  /**
+   * Saves current bindings.
+   */
+  #save() {
+    try {
+      this.#storage?.setItem(_STORAGE_KEY, JSON.stringify(Object.fromEntries(this.#bindings)))
+    } catch (error) {
+      console.warn("Unable to save key bindings", error)
+    }
+  }
+
+  /**
+   * Gets the key codes bound to an action (empty slots are left out).
+   *
+   * @param action {string} see Action
+   *
+   * @return {Array<string>}
+   */
+  getCodes(action) {
+    return (this.#bindings.get(action) ?? []).filter((code) => code !== null)
+  }
+
+  /**
+   * Gets the key code bound to a slot of an action.
+   *
+   * @param action {string} see Action
+   * @param slot {number}
+   *
+   * @return {string|null}
+   */
+  getCode(action, slot) {
+    return this.#bindings.get(action)?.[slot] ?? null
+  }
+
+  /**
+   * Gets the actions bound to a key.
+   *
+   * @param code {string} KeyboardEvent.code value
+   *
+   * @return {Array<string>}
+   */
+  getActions(code) {
+    return [...this.#bindings.keys()].filter((action) => this.#bindings.get(action).includes(code))
+  }
+
+  /**
+   * Gets the actions, other than the input one, that are already bound to a key.
+   *
+   * @param code {string} KeyboardEvent.code value
+   * @param action {string} action that is going to receive the key
+   *
+   * @return {Array<string>}
+   */
+  getConflicts(code, action) {
+    return this.getActions(code).filter((other) => other !== action)
+  }
+
+  /**
+   * Binds a key to a slot of an action. The binding is refused if the key already triggers another action.
+   *
+   * @param action {string} see Action
+   * @param slot {number}
+   * @param code {string} KeyboardEvent.code value
+   *
+   * @return {Array<string>} conflicting actions (the binding was only applied if empty)
+   */
+  bind(action, slot, code) {
+    let conflicts = this.getConflicts(code, action)
+    if (conflicts.length === 0) {
+      this.#bindings.get(action)[slot] = code
+      this.#save()
+    }
+    return conflicts
+  }
+
+  /**
+   * Clears a slot of an action.
+   *
+   * @param action {string} see Action
+   * @param slot {number}
+   */
+  unbind(action, slot) {
+    this.#bindings.get(action)[slot] = null
+    this.#save()
+  }
+
+  /**
+   * Restores the default bindings.
+   */
+  reset() {
+    this.#bindings = KeyBindings.#defaults()
+    this.#save()
+  }
+
+  /**
+   * Gets the number of keys each action can be bound to.
+   *
+   * @return {number}
+   */
+  static get SLOTS() {
+    return _BINDING_SLOTS
+  }
+
+}
+
+/* Default keys of each action (arrows first, WASD as the alternate movement keys) */
+const _DEFAULT_BINDINGS = {
+  [Action.CAMERA_FRONT]: ["Digit1", "Numpad1"],
+  [Action.CAMERA_SIDE]: ["Digit2", "Numpad2"],
+  [Action.CAMERA_FOLLOW]: ["Digit3", "Numpad3"],
+  [Action.CAMERA_ORBIT]: ["Digit4", "Numpad4"],
+  [Action.CAMERA_RESET]: ["KeyH", "Home"],
+  [Action.FOLLOW_CLOSER]: ["Equal", "NumpadAdd"],
+  [Action.FOLLOW_FARTHER]: ["Minus", "NumpadSubtract"],
+  [Action.FOLLOW_HIGHER]: ["PageUp"],
+  [Action.FOLLOW_LOWER]: ["PageDown"],
+  [Action.CAMERA_TRANSITIONS]: ["KeyB"],
+  [Action.VIEW_LAYOUT]: ["KeyL"],
+  [Action.MOVE_UP]: ["ArrowUp", "KeyW"],
+  [Action.MOVE_DOWN]: ["ArrowDown", "KeyS"],
+  [Action.MOVE_LEFT]: ["ArrowLeft", "KeyA"],
+  [Action.MOVE_RIGHT]: ["ArrowRight", "KeyD"],
+  [Action.BOOST]: ["ShiftLeft", "ShiftRight"],
+  [Action.TOGGLE_ROTATION]: ["KeyR"],
+  [Action.TOGGLE_FLIGHT]: ["KeyF"],
+  [Action.SPAWN_WAVE]: ["KeyN"],
+  [Action.RESTART]: ["Enter", "NumpadEnter"],
+  [Action.PAUSE]: ["Escape", "Pause"],
+  [Action.KEY_BINDINGS]: ["KeyK"],
+  [Action.MINIMAP]: ["KeyM"],
+  [Action.SHADING_MODE]: ["KeyC"],
+  [Action.TOGGLE_LIGHTING]: ["KeyO"],
+  [Action.TOGGLE_SPOTLIGHT]: ["KeyP"],
+  [Action.TOGGLE_WIREFRAME]: ["KeyX"]
+}
+const _BINDING_SLOTS = 2
+const _STORAGE_KEY = "keyBindings"
@@ -1,36 +1,108 @@
 /**
- * Manages key pressing activities.
+ * Manages key pressing activities. Also acts as the action layer every input device feeds: other devices are added as
+ * sources and their actions are merged with the keyboard ones.
  */
 class KeyController {
 
   /**
-   * Holds a map with the keys that are being pressed currently.
+   * Holds a map with the keys (KeyboardEvent.code values) that are being pressed currently.
    */
   #keyMap
 
   /**
-   * KeyController class constructor.
+   * Maps actions to the keys that trigger them.
+   *
+   * @type {KeyBindings}
    */
-  constructor() {
-    this.#keyMap = {
-      49: false,
-      50: false,
-      51: false,
-      37: false,
-      38: false,
-      39: false,
-      40: false,
-    }
+  #bindings
+
+  /**
+   * Other input devices. Each source provides `getValue(action)` (0 to 1), `consume(action)` and optionally `poll()`.
+   */
+  #sources
 
+  /**
+   * KeyController class constructor.
+   *
+   * @param bindings {KeyBindings} keys bound to each action
+   */
+  constructor(bindings = new KeyBindings()) {
+    this.#keyMap = {}
+    this.#bindings = bindings
+    this.#sources = []
   }
 
   /**
    * Returns key map of keys.
    *
-   * @return {Map}
+   * @return {Object<string, boolean>}
    */
   getMap() { return this.#keyMap }
 
+  /**
+   * Returns key bindings.
+   *
+   * @return {KeyBindings}
+   */
+  getBindings() { return this.#bindings }
+
+  /**
+   * Adds an input device that feeds the action layer.
+   *
+   * @param source {{getValue: function(string): number, consume: function(string): boolean, poll: function?}}
+   */
+  addSource(source) {
+    this.#sources.push(source)
+  }
+
+  /**
+   * Reads the state of every input device that needs to be polled. Should be called once per frame, before actions
+   * are processed.
+   */
+  poll() {
+    this.#sources.forEach((source) => source.poll?.())
+  }
+
+  /**
+   * Gets how strongly an action is being requested. Keys count as fully pressed while analog inputs return partial
+   * values, and the strongest input wins.
+   *
+   * @param action {string} see Action
+   *
+   * @return {number} value between 0 and 1
+   */
+  getValue(action) {
+    let pressed = this.getBindings().getCodes(action).some((code) => this.getMap()[code]) ? 1 : 0
+    return this.#sources.reduce((value, source) => Math.max(value, source.getValue(action)), pressed)
+  }
+
+  /**
+   * Checks if an action is being requested by any input device.
+   *
+   * @param action {string} see Action
+   *
+   * @return {boolean}
+   */
+  isActive(action) {
+    return this.getValue(action) > 0
+  }
+
+  /**
+   * Checks if an action was triggered and, if so, releases it so that it only triggers once per key (or button) press.
+   *
+   * @param action {string} see Action
+   *
+   * @return {boolean}
+   */
+  consume(action) {
+    let codes = this.getBindings().getCodes(action)
+    let triggered = codes.some((code) => this.getMap()[code])
+    codes.forEach((code) => this.getMap()[code] = false)
+
+    /* Every source is consumed so that the same press does not trigger again on the next frame */
+    return this.#sources.reduce((result, source) => source.consume(action) || result, triggered)
+  }
+
   /**
    * On a key pressed, this callback is activated and the event of pressing that key is passed to this function.
    * We need to allow multiple keys to be pressed at the same time and thus, updating multiple behaviours.
@@ -40,8 +112,12 @@ class KeyController {
   onKeyPress = (event) => {
     'use strict'
 
+    /* Key repetition would re-trigger actions that were already consumed */
+    if (event.repeat)
+      return
+
     /* Allows multiple keys to be pressed at the same time be storing everything in a key map */
-    this.getMap()[event.keyCode] = true
+    this.getMap()[event.code] = true
 
   }
 
@@ -54,67 +130,206 @@ class KeyController {
     'use strict'
 
     /* Reset key that was released by the user */
-    this.getMap()[event.keyCode] = false
-    stop()
+    this.getMap()[event.code] = false
 
   }
 
   /**
-   * Analyses which keys where pressed and performs the requested actions for those keys.
+   * Releases every key and input source. Used when the page loses focus, since the matching key up events are then
+   * never received.
+   */
+  releaseAll() {
+    Object.keys(this.getMap()).forEach((code) => this.getMap()[code] = false)
+    this.#sources.forEach((source) => source.release?.())
+  }
+
+  /**
+   * Drops one-shot actions that input sources queued and were not consumed yet. Keys need no such reset, since their
+   * flag is cleared when they are released.
+   */
+  clearTriggers() {
+    this.#sources.forEach((source) => source.clearTriggers?.())
+  }
+
+  /**
+   * Analyses which actions are active and performs them. Movement is left to the simulation step (see getMovement).
    *
    * @param context {ContextManagementEngine}
    * @param objects {Array<Mesh>}
    * @param compound {CompoundObject}
+   * @param globe {Globe}
+   * @param onSpawnWave {function} callback that spawns a new wave of litter
    * @param delta {number}
-   * @param radius {number}
+   * @param onPause {function} callback that pauses the game
    */
-  processKeyPressed = (context, objects, compound, delta, radius) => {
+  processKeyPressed = (context, objects, compound, globe, onSpawnWave, delta, onPause) => {
     'use strict'
 
-    // Holds array with currently being pressed direction. This will be latter on passed to the compound object's
-    // movement and calculate the total movement vector
-    let movement = []
+    /* Freezes the game, nothing else is done this frame */
+    if (this.consume(Action.PAUSE)) {
+      onPause()
+      return
+    }
 
     /* Changes camera angle */
-    if (this.getMap()[49]) {  // key -> 1
+    if (this.consume(Action.CAMERA_FRONT)) {
       context.setCamera(CameraPlugin.FRONTAL)
-      this.getMap()[49] = false
     }
 
     /* Changes camera angle */
-    if (this.getMap()[50]) {  // key -> 2
+    if (this.consume(Action.CAMERA_SIDE)) {
       context.setCamera(CameraPlugin.SIDE)
-      this.getMap()[50] = false
     }
 
     /* Changes camera angle */
-    if (this.getMap()[51]) {  // key -> 3
+    if (this.consume(Action.CAMERA_FOLLOW)) {
       context.setCamera(CameraPlugin.FOLLOW)
-      this.getMap()[51] = false
     }
 
+    /* Changes camera angle */
+    if (this.consume(Action.CAMERA_ORBIT)) {
+      context.setCamera(CameraPlugin.ORBIT)
+    }
+
+    /* Moves the orbit camera back to its initial view */
+    if (this.consume(Action.CAMERA_RESET)) {
+      context.resetOrbitCamera()
+    }
+
+    /* Moves the follow camera closer, farther, higher or lower */
+    context.adjustFollowCamera(this.getValue(Action.FOLLOW_FARTHER) - this.getValue(Action.FOLLOW_CLOSER),
+      this.getValue(Action.FOLLOW_HIGHER) - this.getValue(Action.FOLLOW_LOWER), delta)
+
+    /* Enables or disables animated camera switches */
+    if (this.consume(Action.CAMERA_TRANSITIONS)) {
+      context.toggleCameraTransitions()
+    }
+
+    /* Splits the screen between cameras */
+    if (this.consume(Action.VIEW_LAYOUT)) {
+      context.cycleViewLayout()
+    }
+
+    /* Lighting and shading */
+    if (this.consume(Action.SHADING_MODE)) {
+      context.cycleShadingMode()
+    }
+    if (this.consume(Action.TOGGLE_LIGHTING)) {
+      context.toggleLighting()
+    }
+    if (this.consume(Action.TOGGLE_SPOTLIGHT)) {
+      context.toggleSpotlight()
+    }
+    if (this.consume(Action.TOGGLE_WIREFRAME)) {
+      context.toggleWireframe()
+    }
+
+    /* Switches between co-rotating and inertial globe rotation */
+    if (this.consume(Action.TOGGLE_ROTATION)) {
+      globe.toggleRotationMode()
+    }
+
+    /* Switches between direct and inertial flight */
+    if (this.consume(Action.TOGGLE_FLIGHT)) {
+      compound.toggleFlightMode()
+    }
+
+    /* Spawns a new wave of litter */
+    if (this.consume(Action.SPAWN_WAVE)) {
+      onSpawnWave()
+    }
+
+  }
+
+  /**
+   * Gathers the movement input of the spaceship.
+   *
+   * @return {{directions: Array<Direction>, boost: boolean, magnitudes: Object<Direction, number>}}
+   */
+  getMovement() {
+
+    // Holds array with currently being pressed direction. This will be latter on passed to the compound object's
+    // movement and calculate the total movement vector
+    let movement = []
+
+    // Holds how strongly each direction is being pressed (analog sticks can push less than a key)
+    let magnitudes = {}
+
     /* Moves articulated object up */
-    if (this.getMap()[38]) {  // key -> up
+    if (this.isActive(Action.MOVE_UP)) {
       movement.push(Direction.UP)
+      magnitudes[Direction.UP] = this.getValue(Action.MOVE_UP)
     }
 
     /* Moves articulated object down */
-    if (this.getMap()[40]) {  // key -> down
+    if (this.isActive(Action.MOVE_DOWN)) {
       movement.push(Direction.DOWN)
+      magnitudes[Direction.DOWN] = this.getValue(Action.MOVE_DOWN)
     }
 
     /* Moves articulated object to the left */
-    if (this.getMap()[37]) {  // key -> left
+    if (this.isActive(Action.MOVE_LEFT)) {
       movement.push(Direction.LEFT)
+      magnitudes[Direction.LEFT] = this.getValue(Action.MOVE_LEFT)
     }
 
     /* Moves articulated object to the right */
-    if (this.getMap()[39]) {  // key -> right
+    if (this.isActive(Action.MOVE_RIGHT)) {
       movement.push(Direction.RIGHT)
+      magnitudes[Direction.RIGHT] = this.getValue(Action.MOVE_RIGHT)
     }
 
-    /* If any key was pressed, we call the update function of the spaceship */
-    compound.move(movement, delta, radius)
+    return {directions: movement, boost: this.isActive(Action.BOOST), magnitudes}
+  }
+
+  /**
+   * Analyses which actions are active while the title screen is displayed.
+   *
+   * @param onStart {function} callback that starts playing
+   */
+  processTitle = (onStart) => {
+    'use strict'
+
+    /* Starts the first round (the pause button doubles as start on gamepads) */
+    if (this.consume(Action.RESTART) || this.consume(Action.PAUSE)) {
+      onStart()
+    }
+
+  }
+
+  /**
+   * Analyses which actions are active while the game is paused.
+   *
+   * @param onResume {function} callback that goes back to the round
+   * @param onRestart {function} callback that starts a new round
+   */
+  processPaused = (onResume, onRestart) => {
+    'use strict'
+
+    /* Goes back to the round */
+    if (this.consume(Action.PAUSE)) {
+      onResume()
+    }
+
+    /* Abandons the round and starts a new one */
+    else if (this.consume(Action.RESTART)) {
+      onRestart()
+    }
+
+  }
+
+  /**
+   * Analyses which actions are active while the result screen is displayed.
+   *
+   * @param onRestart {function} callback that starts a new round
+   */
+  processRoundOver = (onRestart) => {
+    'use strict'
+
+    /* Starts a new round */
+    if (this.consume(Action.RESTART)) {
+      onRestart()
+    }
 
   }
 
@@ -0,0 +1,207 @@
+/**
+ * On-screen controls for touch devices: a virtual joystick that steers the spaceship with analog strength and tap
+ * buttons for each camera. Feeds the action layer (see KeyController.addSource) and tracks each finger by its pointer
+ * id, so the joystick and the buttons can be used at the same time.
+ */
+class TouchController {
+
+  /**
+   * DOM element that holds every on-screen control.
+   */
+  #element
+
+  /**
+   * DOM element of the joystick base.
+   */
+  #base
+
+  /**
+   * DOM element of the joystick knob.
+   */
+  #knob
+
+  /**
+   * Pointer id of the finger dragging the joystick (null when released).
+   */
+  #joystickPointer
+
+  /**
+   * Strength of each movement action requested by the joystick (0 to 1).
+   *
+   * @type {Map<string, number>}
+   */
+  #values
+
+  /**
+   * Actions tapped since they were last consumed.
+   *
+   * @type {Set<string>}
+   */
+  #triggered
+
+  /**
+   * TouchController class constructor. Controls are only displayed on touch devices, or as soon as the screen is
+   * touched on devices that also have a mouse.
+   */
+  constructor() {
+    this.#joystickPointer = null
+    this.#values = new Map()
+    this.#triggered = new Set()
+
+    this.#element = document.createElement("div")
+    this.#element.className = "touch-controls hidden"
+    this.#buildJoystick()
+    this.#buildButtons()
+    document.body.appendChild(this.#element)
+
+    if (TouchController.#isTouchDevice())
+      this.show()
+    window.addEventListener("pointerdown", (event) => {
+      if (event.pointerType === "touch")
+        this.show()
+    })
+  }
+
+  /**
+   * Checks if the device's main pointer is a finger.
+   *
+   * @return {boolean}
+   */
+  static #isTouchDevice() {
+    return window.matchMedia?.("(pointer: coarse)").matches || navigator.maxTouchPoints > 0
+  }
+
+  /**
+   * Displays the on-screen controls.
+   */
+  show() {
+    this.#element.classList.remove("hidden")
+  }
+
+  /**
+   * Builds the virtual joystick.
+   */
+  #buildJoystick() {
+    this.#base = document.createElement("div")
+    this.#base.className = "joystick"
+    this.#knob = document.createElement("div")
+    this.#knob.className = "joystick-knob"
+    this.#base.appendChild(this.#knob)
+    this.#element.appendChild(this.#base)
+
+    this.#base.addEventListener("pointerdown", (event) => {
+      if (this.#joystickPointer !== null)
+        return
+      this.#joystickPointer = event.pointerId
+      this.#base.setPointerCapture(event.pointerId)
+      this.#moveJoystick(event)
+    })
+    this.#base.addEventListener("pointermove", (event) => {
+      if (event.pointerId === this.#joystickPointer)
+        this.#moveJoystick(event)
+    })
+    let release = (event) => {
+      if (event.pointerId === this.#joystickPointer)
+        this.release()
+    }
+    this.#base.addEventListener("pointerup", release)
+    this.#base.addEventListener("pointercancel", release)
+  }
+
+  /**
+   * Builds one tap button per camera.
+   */
+  #buildButtons() {
+    let buttons = document.createElement("div")
+    buttons.className = "touch-buttons"
+
+    _TOUCH_BUTTONS.forEach(({label, action}) => {
+      let button = document.createElement("button")
+      button.textContent = label
+      button.addEventListener("pointerdown", (event) => {
+        event.preventDefault()
+        this.#triggered.add(action)
+      })
+      buttons.appendChild(button)
+    })
+
+    this.#element.appendChild(buttons)
+  }
+
+  /**
+   * Converts the finger position over the joystick into movement actions and moves the knob under the finger.
+   *
+   * @param event pointer event of the finger dragging the joystick
+   */
+  #moveJoystick(event) {
+    let bounds = this.#base.getBoundingClientRect()
+    let radius = bounds.width / 2
+
+    /* The knob's center can only travel until its edge touches the edge of the base, which is full strength */
+    let travel = radius - this.#knob.offsetWidth / 2
+    let x = (event.clientX - bounds.left - radius) / travel
+    let y = (event.clientY - bounds.top - radius) / travel
+
+    /* Keeps the knob inside the base */
+    let magnitude = Math.hypot(x, y)
+    if (magnitude > 1) {
+      x /= magnitude
+      y /= magnitude
+    }
+    this.#knob.style.transform = `translate(${x * travel}px, ${y * travel}px)`
+
+    this.#values.set(Action.MOVE_UP, Math.max(0, -y))
+    this.#values.set(Action.MOVE_DOWN, Math.max(0, y))
+    this.#values.set(Action.MOVE_LEFT, Math.max(0, -x))
+    this.#values.set(Action.MOVE_RIGHT, Math.max(0, x))
+  }
+
+  /**
+   * Gets how strongly an action is being requested.
+   *
+   * @param action {string} see Action
+   *
+   * @return {number} value between 0 and 1
+   */
+  getValue(action) {
+    return this.#values.get(action) ?? 0
+  }
+
+  /**
+   * Checks if an action was tapped since it was last consumed and clears it.
+   *
+   * @param action {string} see Action
+   *
+   * @return {boolean}
+   */
+  consume(action) {
+    return this.#triggered.delete(action)
+  }
+
+  /**
+   * Drops taps that were not consumed yet (used when the game changes state, so that a tap made while it was ignored
+   * does not fire later).
+   */
+  clearTriggers() {
+    this.#triggered.clear()
+  }
+
+  /**
+   * Lets go of the joystick and drops taps that were not consumed yet.
+   */
+  release() {
+    this.#joystickPointer = null
+    this.#values.clear()
+    this.#triggered.clear()
+    this.#knob.style.transform = ""
+  }
+
+}
+
+/* Tap buttons displayed next to the joystick */
+const _TOUCH_BUTTONS = [
+  {label: "Front", action: Action.CAMERA_FRONT},
+  {label: "Side", action: Action.CAMERA_SIDE},
+  {label: "Follow", action: Action.CAMERA_FOLLOW},
+  {label: "Orbit", action: Action.CAMERA_ORBIT}
+]
@@ -0,0 +1,199 @@
+/**
+ * Creates litter and puts it in orbit. Shapes are registered with a factory and the amount of pieces that each wave
+ * should contain, so that new shapes can be added without touching the placement logic.
+ */
+class DebrisSpawner {
+
+  /**
+   * Object the spawned litter is added to.
+   */
+  #parent
+
+  /**
+   * Broad-phase index that holds the litter in orbit. Is used to prevent overlaps and receives every spawned piece.
+   *
+   * @type {SpatialIndex}
+   */
+  #index
+
+  /**
+   * Radius of the orbit shell where litter is placed.
+   */
+  #orbitRadius
+
+  /**
+   * Registered shapes, mapped by litter type.
+   *
+   * @type {Map<number, {factory: function(function(): number): THREE.Mesh, count: number}>}
+   */
+  #shapes
+
+  /**
+   * Random number generator used for shapes, placement and hazards (returns values in [0, 1[).
+   */
+  #random
+
+  /**
+   * DebrisSpawner class constructor.
+   *
+   * @param parent {THREE.Object3D} object the spawned litter is added to
+   * @param index {SpatialIndex} broad-phase index that holds the litter in orbit
+   * @param orbitRadius {number} radius of the orbit shell
+   * @param random {function(): number} random number generator
+   */
+  constructor(parent, index, orbitRadius, random = Math.random) {
+    this.#parent = parent
+    this.#index = index
+    this.#orbitRadius = orbitRadius
+    this.#random = random
+    this.#shapes = new Map()
+  }
+
+  /**
+   * Registers a litter shape. Registering an already known type replaces it.
+   *
+   * @param type {number} see LitterType
+   * @param factory {function(function(): number): THREE.Mesh} builds a mesh with `raioCol` set
+   * @param count {number} pieces of this shape spawned in each wave
+   */
+  registerShape(type, factory, count) {
+    this.#shapes.set(type, {factory: factory, count: count})
+  }
+
+  /**
+   * Updates the amount of pieces of a registered shape spawned in each wave.
+   *
+   * @param type {number} see LitterType
+   * @param count {number}
+   */
+  setCount(type, count) {
+    if (!this.#shapes.has(type))
+      throw new Error(`Unknown litter type '${type}'`)
+    this.#shapes.get(type).count = count
+  }
+
+  /**
+   * Gets the amount of pieces of a registered shape spawned in each wave.
+   *
+   * @param type {number} see LitterType
+   *
+   * @return {number}
+   */
+  getCount(type) { return this.#shapes.get(type)?.count ?? 0 }
+
+  /**
+   * Gets a random point on the orbit shell (uniformly distributed over the sphere).
+   *
+   * @return {THREE.Vector3}
+   */
+  randomOrbitPoint() {
+    let y = 2 * this.#random() - 1
+    let theta = 2 * Math.PI * this.#random()
+    let ring = Math.sqrt(1 - y * y)
+    return new THREE.Vector3(ring * Math.sin(theta), y, ring * Math.cos(theta)).multiplyScalar(this.#orbitRadius)
+  }
+
+  /**
+   * Checks if a sphere does not overlap any litter in the index nor any of the input obstacles.
+   *
+   * @param position {THREE.Vector3} sphere center
+   * @param radius {number} sphere radius
+   * @param obstacles {Array<{position: THREE.Vector3, raioCol: number}>} extra objects to keep clear of
+   *
+   * @return {boolean}
+   */
+  #isFree(position, radius, obstacles) {
+    let overlaps = (other) => position.distanceTo(other.position) <= radius + other.raioCol
+    return !this.#index.queryNeighbours(position, radius).some(overlaps) && !obstacles.some(overlaps)
+  }
+
+  /**
+   * Looks for a point on the orbit shell where a sphere does not overlap any litter in the index nor any of the input
+   * obstacles.
+   *
+   * @param radius {number} bounding sphere radius of the object that is going to be placed
+   * @param obstacles {Array<{position: THREE.Vector3, raioCol: number}>} extra objects to keep clear of
+   *
+   * @return {THREE.Vector3|null} free point or null if none was found within the attempt limit
+   */
+  findFreeSpot(radius, obstacles = []) {
+    for (let attempt = 0; attempt < _MAX_PLACEMENT_ATTEMPTS; attempt++) {
+      let position = this.randomOrbitPoint()
+      if (this.#isFree(position, radius, obstacles))
+        return position
+    }
+    return null
+  }
+
+  /**
+   * Looks for a random orbit whose starting point does not overlap any litter in the index nor any of the input
+   * obstacles.
+   *
+   * @param radius {number} bounding sphere radius of the object that is going to be put in orbit
+   * @param obstacles {Array<{position: THREE.Vector3, raioCol: number}>} extra objects to keep clear of
+   *
+   * @return {Orbit|null} free orbit or null if none was found within the attempt limit
+   */
+  findFreeOrbit(radius, obstacles = []) {
+    for (let attempt = 0; attempt < _MAX_PLACEMENT_ATTEMPTS; attempt++) {
+      let orbit = Orbit.random(this.#orbitRadius, this.#random)
+      if (this.#isFree(orbit.getPosition(), radius, obstacles))
+        return orbit
+    }
+    return null
+  }
+
+  /**
+   * Spawns a wave of litter with the registered counts of each shape. Each piece gets its own orbit (kept in its
+   * `orbit` field). Pieces that can not be placed without overlapping within the attempt limit are dropped.
+   *
+   * @param obstacles {Array<{position: THREE.Vector3, raioCol: number}>} extra objects to keep clear of (spaceship)
+   *
+   * @return {Array<THREE.Mesh>} litter that was added to the orbit
+   */
+  spawnWave(obstacles = []) {
+    let spawned = []
+
+    this.#shapes.forEach(({factory, count}, type) => {
+      for (let i = 0; i < count; i++) {
+        let litter = factory(this.#random)
+        let orbit = this.findFreeOrbit(litter.raioCol, obstacles)
+
+        if (orbit === null) {
+          console.warn(`Unable to find room in orbit for litter of type '${type}'`)
+          litter.geometry.dispose()
+          litter.material.dispose()
+          continue
+        }
+
+        litter.orbit = orbit
+        orbit.getPosition(litter.position)
+        this.#tag(litter, type)
+        this.#parent.add(litter)
+        this.#index.insert(litter)
+        spawned.push(litter)
+      }
+    })
+
+    return spawned
+  }
+
+  /**
+   * Tags a piece of litter with its shape and randomly marks it as hazardous (hazardous litter is painted red and costs
+   * a life when hit).
+   *
+   * @param litter {THREE.Mesh}
+   * @param type {number} see LitterType
+   */
+  #tag(litter, type) {
+    litter.litterType = type
+    litter.hazardous = this.#random() < _HAZARD_CHANCE
+    if (litter.hazardous)
+      litter.material.color.set(_HAZARD_COLOR)
+  }
+
+}
+
+const _MAX_PLACEMENT_ATTEMPTS = 50
+const _HAZARD_CHANCE = 0.2
+const _HAZARD_COLOR = 0xff0000
@@ -0,0 +1,88 @@
+/**
+ * Factories for the built-in litter shapes. Each factory receives a random number generator (returns values in
+ * [0, 1[) and returns a mesh with its bounding sphere radius already set in `raioCol`.
+ */
+const LitterShapes = {
+
+  /**
+   * Builds a cube.
+   *
+   * @param random {function(): number}
+   *
+   * @return {THREE.Mesh}
+   */
+  [LitterType.CUBE]: (random) => {
+    let size = _litterSize(random)
+    let cube = new THREE.Mesh(new THREE.BoxGeometry(size, size, size, 5, 5, 5), _litterMaterial())
+    cube.raioCol = (Math.sqrt(3)/2)*size
+    return cube
+  },
+
+  /**
+   * Builds a cylinder.
+   *
+   * @param random {function(): number}
+   *
+   * @return {THREE.Mesh}
+   */
+  [LitterType.CYLINDER]: (random) => {
+    let height = _litterSize(random)
+    let radius = _litterSize(random)/2
+    let cylinder = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, height, 30), _litterMaterial())
+    cylinder.raioCol = Math.sqrt((radius**2) + ((height/2)**2))
+    return cylinder
+  },
+
+  /**
+   * Builds a cone.
+   *
+   * @param random {function(): number}
+   *
+   * @return {THREE.Mesh}
+   */
+  [LitterType.CONE]: (random) => {
+    let height = _litterSize(random)
+    let radius = _litterSize(random)/2
+    let cone = new THREE.Mesh(new THREE.ConeGeometry(radius, height, 30), _litterMaterial())
+    cone.raioCol = Math.sqrt((radius**2) + ((height/2)**2))
+    return cone
+  },
+
+  /**
+   * Builds a square based pyramid.
+   *
+   * @param random {function(): number}
+   *
+   * @return {THREE.Mesh}
+   */
+  [LitterType.PYRAMID]: (random) => {
+    let height = _litterSize(random)
+    let radius = _litterSize(random)/2
+    let pyramid = new THREE.Mesh(new THREE.ConeGeometry(radius, height, 4), _litterMaterial())
+    pyramid.raioCol = Math.sqrt((radius**2) + ((height/2)**2))
+    return pyramid
+  }
+
+}
+
+/**
+ * Picks a random litter dimension, proportional to the world size.
+ *
+ * @param random {function(): number}
+ *
+ * @return {number}
+ */
+const _litterSize = (random) => {
+  let min = Math.ceil(_EARTH_RADIUS/24)
+  let max = Math.floor(_EARTH_RADIUS/20)
+  return min + random() * (max - min)
+}
+
+/**
+ * Builds a litter material (each piece gets its own so that hazardous litter can be recolored).
+ *
+ * @return {THREE.Material}
+ */
+const _litterMaterial = () => new THREE.MeshBasicMaterial({color: _LITTER_COLOR})
+
+const _LITTER_COLOR = 0xfc9803
@@ -0,0 +1,113 @@
+/**
+ * Circular orbit around the center of the world. The orbital plane is described by its inclination (tilt from the
+ * equator, which is the XZ plane) and the longitude of its ascending node (where the orbit crosses the equator going
+ * up), and the object travels along it at a constant angular speed while tumbling around its own spin axis.
+ */
+class Orbit {
+
+  /**
+   * Distance from the center of the world.
+   */
+  #radius
+
+  /**
+   * Rotation that takes the equatorial plane onto the orbital plane.
+   *
+   * @type {THREE.Quaternion}
+   */
+  #plane
+
+  /**
+   * Angular speed along the orbit (radians per second).
+   */
+  #angularSpeed
+
+  /**
+   * Current angle along the orbit measured from the ascending node (radians).
+   */
+  #anomaly
+
+  /**
+   * Tumbling axis of the orbiting object (unit vector in its own space).
+   *
+   * @type {THREE.Vector3}
+   */
+  #spinAxis
+
+  /**
+   * Tumbling speed of the orbiting object (radians per second).
+   */
+  #spinSpeed
+
+  /**
+   * Orbit class constructor.
+   *
+   * @param radius {number} distance from the center of the world
+   * @param inclination {number} tilt of the orbital plane from the equator (radians, above PI/2 is retrograde)
+   * @param ascendingNode {number} longitude of the ascending node (radians)
+   * @param angularSpeed {number} angular speed along the orbit (radians per second)
+   * @param anomaly {number} starting angle along the orbit (radians)
+   * @param spinAxis {THREE.Vector3} tumbling axis of the orbiting object
+   * @param spinSpeed {number} tumbling speed (radians per second)
+   */
+  constructor(radius, inclination, ascendingNode, angularSpeed, anomaly, spinAxis, spinSpeed) {
+    this.#radius = radius
+    this.#plane = new THREE.Quaternion().setFromEuler(new THREE.Euler(inclination, ascendingNode, 0, "YXZ"))
+    this.#angularSpeed = angularSpeed
+    this.#anomaly = anomaly
+    this.#spinAxis = spinAxis.clone().normalize()
+    this.#spinSpeed = spinSpeed
+  }
+
+  /**
+   * Gets the current position along the orbit.
+   *
+   * @param target {THREE.Vector3} vector where the result is written
+   *
+   * @return {THREE.Vector3} target
+   */
+  getPosition(target = new THREE.Vector3()) {
+    return target.set(Math.cos(this.#anomaly), 0, -Math.sin(this.#anomaly))
+      .multiplyScalar(this.#radius)
+      .applyQuaternion(this.#plane)
+  }
+
+  /**
+   * Moves an object along the orbit and tumbles it.
+   *
+   * @param object {THREE.Object3D} orbiting object
+   * @param delta {number} elapsed time since the previous frame
+   */
+  advance(object, delta) {
+    this.#anomaly = (this.#anomaly + this.#angularSpeed * delta) % (2 * Math.PI)
+    this.getPosition(object.position)
+    object.rotateOnAxis(this.#spinAxis, this.#spinSpeed * delta)
+  }
+
+  /**
+   * Builds an orbit with random parameters. Orbital planes are picked so that objects end up uniformly spread over the
+   * orbit shell.
+   *
+   * @param radius {number} distance from the center of the world
+   * @param random {function(): number} random number generator
+   *
+   * @return {Orbit}
+   */
+  static random(radius, random) {
+    let inclination = Math.acos(2 * random() - 1)
+    let ascendingNode = 2 * Math.PI * random()
+    let angularSpeed = _MIN_ORBIT_SPEED + random() * (_MAX_ORBIT_SPEED - _MIN_ORBIT_SPEED)
+    let anomaly = 2 * Math.PI * random()
+    let spinAxis = new THREE.Vector3(random() - 0.5, random() - 0.5, random() - 0.5)
+    if (spinAxis.lengthSq() === 0)
+      spinAxis.set(0, 1, 0)
+    let spinSpeed = random() * _MAX_SPIN_SPEED
+
+    return new Orbit(radius, inclination, ascendingNode, angularSpeed, anomaly, spinAxis, spinSpeed)
+  }
+
+}
+
+const _MIN_ORBIT_SPEED = 0.02
+const _MAX_ORBIT_SPEED = 0.1
+const _MAX_SPIN_SPEED = 1.5
@@ -0,0 +1,33 @@
+/**
+ * Actions the player can trigger. Input devices are bound to actions instead of being read directly, so that bindings
+ * can be changed without touching the code that reacts to them.
+ */
+const Action = {
+  CAMERA_FRONT: "CAMERA_FRONT",
+  CAMERA_SIDE: "CAMERA_SIDE",
+  CAMERA_FOLLOW: "CAMERA_FOLLOW",
+  CAMERA_ORBIT: "CAMERA_ORBIT",
+  CAMERA_RESET: "CAMERA_RESET",
+  FOLLOW_CLOSER: "FOLLOW_CLOSER",
+  FOLLOW_FARTHER: "FOLLOW_FARTHER",
+  FOLLOW_HIGHER: "FOLLOW_HIGHER",
+  FOLLOW_LOWER: "FOLLOW_LOWER",
+  CAMERA_TRANSITIONS: "CAMERA_TRANSITIONS",
+  VIEW_LAYOUT: "VIEW_LAYOUT",
+  MOVE_UP: "MOVE_UP",
+  MOVE_DOWN: "MOVE_DOWN",
+  MOVE_LEFT: "MOVE_LEFT",
+  MOVE_RIGHT: "MOVE_RIGHT",
+  BOOST: "BOOST",
+  TOGGLE_ROTATION: "TOGGLE_ROTATION",
+  TOGGLE_FLIGHT: "TOGGLE_FLIGHT",
+  SPAWN_WAVE: "SPAWN_WAVE",
+  RESTART: "RESTART",
+  PAUSE: "PAUSE",
+  KEY_BINDINGS: "KEY_BINDINGS",
+  MINIMAP: "MINIMAP",
+  SHADING_MODE: "SHADING_MODE",
+  TOGGLE_LIGHTING: "TOGGLE_LIGHTING",
+  TOGGLE_SPOTLIGHT: "TOGGLE_SPOTLIGHT",
+  TOGGLE_WIREFRAME: "TOGGLE_WIREFRAME"
+}
@@ -0,0 +1,8 @@
+/**
+ * Spaceship flight modes. Direct flight moves the spaceship only while a key is pressed, inertial flight applies thrust
+ * and keeps the spaceship gliding until drag stops it.
+ */
+const FlightMode = {
+  DIRECT: 0,
+  INERTIAL: 1
+}
@@ -0,0 +1,9 @@
+/**
+ * States of the game. Only the playing state advances the simulation, the others freeze it behind an overlay.
+ */
+const GameState = {
+  TITLE: 0,
+  PLAYING: 1,
+  PAUSED: 2,
+  GAME_OVER: 3
+}
@@ -0,0 +1,9 @@
+/**
+ * Orbital litter shapes.
+ */
+const LitterType = {
+  CUBE: 0,
+  CYLINDER: 1,
+  CONE: 2,
+  PYRAMID: 3
+}
@@ -0,0 +1,8 @@
+/**
+ * Globe rotation modes. When co-rotating, debris and spaceship turn with the world. When inertial, only the world
+ * turns and everything else stays still in space.
+ */
+const RotationMode = {
+  INERTIAL: 0,
+  CO_ROTATING: 1
+}
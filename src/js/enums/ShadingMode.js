@@ -0,0 +1,9 @@
+/**
+ * Material families the scene can be rendered with. Basic ignores the lights, the others are lit by them.
+ */
+const ShadingMode = {
+  BASIC: 0,
+  LAMBERT: 1,
+  PHONG: 2,
+  TOON: 3
+}
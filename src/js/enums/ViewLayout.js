@@ -0,0 +1,9 @@
+/**
+ * Ways the canvas can be split between cameras.
+ */
+const ViewLayout = {
+  SINGLE: 0,
+  SPLIT: 1,
+  QUAD: 2,
+  PICTURE_IN_PICTURE: 3
+}
@@ -0,0 +1,85 @@
+/**
+ * Keeps track of the player's score and lives during a round.
+ */
+class ScoreBoard {
+
+  /**
+   * Points gathered in the current round.
+   */
+  #score
+
+  /**
+   * Lives left in the current round.
+   */
+  #lives
+
+  /**
+   * ScoreBoard class constructor.
+   */
+  constructor() {
+    this.reset()
+  }
+
+  /**
+   * Resets score and lives so that a new round can begin.
+   */
+  reset() {
+    this.#score = 0
+    this.#lives = _INITIAL_LIVES
+  }
+
+  /**
+   * Gets current score.
+   *
+   * @return {number}
+   */
+  getScore() { return this.#score }
+
+  /**
+   * Gets lives left.
+   *
+   * @return {number}
+   */
+  getLives() { return this.#lives }
+
+  /**
+   * Checks if the player still has lives left.
+   *
+   * @return {boolean}
+   */
+  hasLivesLeft() { return this.getLives() > 0 }
+
+  /**
+   * Registers a piece of litter that the spaceship ran into. Hazardous litter costs a life while every other piece
+   * awards points according to its shape.
+   *
+   * @param litter {THREE.Mesh} litter tagged with a type and hazard flag
+   */
+  collect(litter) {
+    if (litter.hazardous)
+      this.#lives = Math.max(0, this.#lives - 1)
+    else
+      this.#score += ScoreBoard.pointsFor(litter.litterType)
+  }
+
+  /**
+   * Gets the amount of points awarded for collecting a piece of litter with the input shape.
+   *
+   * @param type {number} see LitterType
+   *
+   * @return {number}
+   */
+  static pointsFor(type) {
+    return _LITTER_POINTS[type] ?? 0
+  }
+
+}
+
+/* Points awarded by litter shape (harder shapes to spot are worth more) */
+const _LITTER_POINTS = {
+  [LitterType.CUBE]: 10,
+  [LitterType.CYLINDER]: 20,
+  [LitterType.CONE]: 30,
+  [LitterType.PYRAMID]: 50
+}
+const _INITIAL_LIVES = 3
@@ -0,0 +1,82 @@
+/**
+ * Deterministic pseudo-random number generator (mulberry32). Two generators built with the same seed always produce
+ * the same sequence, which allows a scene layout to be reproduced.
+ */
+class SeededRandom {
+
+  /**
+   * Seed the generator was built with.
+   */
+  #seed
+
+  /**
+   * Internal 32 bit state, advanced on each draw.
+   */
+  #state
+
+  /**
+   * SeededRandom class constructor.
+   *
+   * @param seed {number} unsigned 32 bit integer
+   */
+  constructor(seed) {
+    this.#seed = seed >>> 0
+    this.#state = this.#seed
+  }
+
+  /**
+   * Gets the seed the generator was built with.
+   *
+   * @return {number}
+   */
+  getSeed() { return this.#seed }
+
+  /**
+   * Draws the next number of the sequence. Is an arrow function so that it can be handed over as a replacement for
+   * Math.random.
+   *
+   * @return {number} value in [0, 1[
+   */
+  next = () => {
+    this.#state = (this.#state + 0x6D2B79F5) >>> 0
+    let t = this.#state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Builds a new random seed (not reproducible, used when the player did not ask for one).
+   *
+   * @return {number}
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296)
+  }
+
+  /**
+   * Reads the seed from the `seed` query parameter. Numbers are used as they are and any other text is hashed, so that
+   * words can also be used as seeds.
+   *
+   * @param search {string} query string (e.g. window.location.search)
+   *
+   * @return {number|null} seed or null if the parameter is missing
+   */
+  static seedFromQuery(search) {
+    let value = new URLSearchParams(search).get(_SEED_PARAMETER)
+    if (value === null || value.trim() === "")
+      return null
+
+    if (/^\d+$/.test(value.trim()))
+      return Number(value.trim()) >>> 0
+
+    /* FNV-1a hash of the text */
+    let hash = 0x811C9DC5
+    for (let i = 0; i < value.length; i++)
+      hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193)
+    return hash >>> 0
+  }
+
+}
+
+const _SEED_PARAMETER = "seed"
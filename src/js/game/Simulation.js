@@ -0,0 +1,334 @@
+/**
+ * Everything that happens in a round, apart from input and presentation: the world, the spaceship, the litter in orbit,
+ * collisions and scoring. Only depends on three.js objects (no window, document or renderer), so that rounds can be
+ * stepped headlessly, e.g. by the tests under `test/`.
+ */
+class Simulation {
+
+  /**
+   * Object that holds the globe, the litter and the spaceship. Turns with the world when co-rotating.
+   *
+   * @type {THREE.Object3D}
+   */
+  #pivot
+
+  /**
+   * Holds textured world.
+   *
+   * @type {Globe}
+   */
+  #globe
+
+  /**
+   * Holds spaceship.
+   *
+   * @type {CompoundObject}
+   */
+  #compound
+
+  /**
+   * Creates litter and places it in orbit.
+   *
+   * @type {DebrisSpawner}
+   */
+  #spawner
+
+  /**
+   * Broad-phase index that holds every piece of litter still in orbit.
+   *
+   * @type {SpatialIndex}
+   */
+  #litterIndex
+
+  /**
+   * Holds score and lives of the round.
+   *
+   * @type {ScoreBoard}
+   */
+  #scoreBoard
+
+  /**
+   * Seeded random number generator used to lay out the round.
+   *
+   * @type {SeededRandom}
+   */
+  #random
+
+  /**
+   * Holds all the objects that were added to the round.
+   *
+   * @type {Array<THREE.Object3D>}
+   */
+  #sceneObjects
+
+  /**
+   * Simulation class constructor. Lays out a new round: world, a first wave of litter and the spaceship somewhere in
+   * orbit away from the litter.
+   *
+   * @param seed {number} seed of the round layout
+   * @param litterIndex {SpatialIndex|null} empty broad-phase index used to find litter close to a point (null uses a
+   *   uniform grid)
+   */
+  constructor(seed, litterIndex = null) {
+    this.#pivot = new THREE.Object3D()
+    this.#litterIndex = litterIndex ?? new UniformGrid(_GRID_CELL_SIZE)
+    this.#scoreBoard = new ScoreBoard()
+    this.#random = new SeededRandom(seed)
+    this.#sceneObjects = Array()
+    this.#compound = new CompoundObject()
+    this.#build()
+  }
+
+  /**
+   * Adds the world, the litter and the spaceship to the pivot.
+   */
+  #build() {
+    let geometry
+    let material
+    let spaceshipBody
+    let spaceshipHead
+
+    // World
+    this.#globe = new Globe(_EARTH_RADIUS, this.#pivot)
+    this.#pivot.add(this.#globe.getMesh())
+    this.#sceneObjects.push(this.#globe.getMesh())
+
+    // Orbital trash
+    this.#spawner = new DebrisSpawner(this.#pivot, this.getLitterIndex(), this.getOrbitRadius(), this.getRandom().next)
+    Object.entries(_LITTER_COUNTS).forEach(([type, count]) => {
+      this.#spawner.registerShape(Number(type), LitterShapes[type], count)
+    })
+    this.#sceneObjects.push(...this.#spawner.spawnWave())
+
+    // Spaceship
+    geometry = new THREE.CylinderGeometry(3, 3, 5, 32)
+    material = new THREE.MeshBasicMaterial({color: 0xffff00})
+    spaceshipBody = new THREE.Mesh(geometry, material)
+    spaceshipBody.position.x = 0
+    spaceshipBody.position.y = 0
+    spaceshipBody.position.z = 0
+    this.getCompound().setPrimary(spaceshipBody)
+
+    geometry = new THREE.CylinderGeometry(1, 1, 0.5, 32)
+    material = new THREE.MeshBasicMaterial({color: 0xffff00})
+    spaceshipHead = new THREE.Mesh(geometry, material)
+    spaceshipHead.position.y = 3.5
+    this.getCompound().setSecondary(spaceshipHead)
+
+    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
+    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
+    let capsule = new THREE.Mesh( geometry, material );
+    capsule.position.x = 0
+    capsule.position.y = -2
+    capsule.position.z = 2.8
+    this.getCompound().setSecondary(capsule)
+
+    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
+    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
+    capsule = new THREE.Mesh( geometry, material );
+    capsule.position.x = -2.8
+    capsule.position.y = -2
+    capsule.position.z = 0
+    this.getCompound().setSecondary(capsule)
+
+    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
+    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
+    capsule = new THREE.Mesh( geometry, material );
+    capsule.position.x = 2.8
+    capsule.position.y = -2
+    capsule.position.z = 0
+    this.getCompound().setSecondary(capsule)
+
+    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
+    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
+    capsule = new THREE.Mesh( geometry, material );
+    capsule.position.x = 0
+    capsule.position.y = -2
+    capsule.position.z = -2.8
+    this.getCompound().setSecondary(capsule)
+
+    this.getCompound().raioCol = Math.sqrt(((spaceshipBody.geometry.parameters.height +
+            spaceshipHead.geometry.parameters.height)**2) + ((spaceshipHead.geometry.parameters.radiusTop/2)**2))
+
+    /* Starts the spaceship somewhere in orbit away from the litter */
+    this.getCompound().placeAt(this.#spawner.findFreeSpot(this.getCompound().raioCol) ??
+      this.#spawner.randomOrbitPoint())
+
+    this.#pivot.add(this.getCompound().getGroup())
+    this.#sceneObjects.push(this.getCompound().getGroup())
+  }
+
+  /**
+   * Gets object that holds the whole round (add it to a scene to display the round).
+   *
+   * @return {THREE.Object3D}
+   */
+  getPivot() { return this.#pivot }
+
+  /**
+   * Gets globe.
+   *
+   * @return {Globe}
+   */
+  getGlobe() { return this.#globe }
+
+  /**
+   * Gets spaceship.
+   *
+   * @return {CompoundObject}
+   */
+  getCompound() { return this.#compound }
+
+  /**
+   * Gets litter spawner.
+   *
+   * @return {DebrisSpawner}
+   */
+  getSpawner() { return this.#spawner }
+
+  /**
+   * Gets the broad-phase index that holds the litter still in orbit.
+   *
+   * @return {SpatialIndex}
+   */
+  getLitterIndex() { return this.#litterIndex }
+
+  /**
+   * Gets score board of the round.
+   *
+   * @return {ScoreBoard}
+   */
+  getScoreBoard() { return this.#scoreBoard }
+
+  /**
+   * Gets the seeded random number generator of the round.
+   *
+   * @return {SeededRandom}
+   */
+  getRandom() { return this.#random }
+
+  /**
+   * Gets a list with the objects added to the round.
+   *
+   * @return {Array<THREE.Object3D>}
+   */
+  getSceneObjects() { return this.#sceneObjects }
+
+  /**
+   * Gets the radius of the shell the spaceship and the litter orbit on.
+   *
+   * @return {number}
+   */
+  getOrbitRadius() { return _EARTH_RADIUS * _ORBIT_RADIUS_FACTOR }
+
+  /**
+   * Spawns a new wave of litter, keeping it clear of the spaceship.
+   *
+   * @return {Array<THREE.Mesh>} litter that was added to the orbit
+   */
+  spawnWave() {
+    let ship = {position: this.getCompound().getPrimary().position, raioCol: this.getCompound().raioCol}
+    let spawned = this.getSpawner().spawnWave([ship])
+    this.#sceneObjects.push(...spawned)
+    return spawned
+  }
+
+  /**
+   * Advances the spaceship, the world and the litter and resolves collisions.
+   *
+   * @param step {number} simulated time (seconds)
+   * @param directions {Array<Direction>} directions the spaceship is being moved in
+   * @param boost {boolean} whether the boost is engaged
+   * @param magnitudes {Object<Direction, number>} how strongly each direction is pushed, from 0 to 1 (defaults to 1)
+   *
+   * @return {Array<THREE.Mesh>} litter collected during the step
+   */
+  step(step, directions = [], boost = false, magnitudes = {}) {
+
+    /* Flies the spaceship over the orbit shell */
+    this.getCompound().move(directions, step, this.getOrbitRadius(), boost, magnitudes)
+
+    /* Spins the world (and, when co-rotating, everything that orbits it) */
+    this.getGlobe().rotate(step)
+
+    /* Moves litter along its orbit and keeps the broad-phase index up to date as it crosses cells */
+    this.getLitterIndex().getAll().forEach((litter) => {
+      litter.orbit.advance(litter, step)
+      this.getLitterIndex().update(litter)
+    })
+
+    return this.checkCollision()
+  }
+
+  /**
+   * Checks for collisions. Litter touching the spaceship is removed from the round and scored.
+   *
+   * @return {Array<THREE.Mesh>} litter that was collected
+   */
+  checkCollision() {
+    let position = this.getCompound().getPrimary().position
+    let radius = this.getCompound().raioCol
+
+    /* Only litter in the cells around the spaceship can possibly be touching it */
+    let collected = this.getLitterIndex().queryNeighbours(position, radius)
+      .filter((litter) => Simulation.collides(position, radius, litter))
+
+    collected.forEach((litter) => {
+      this.#pivot.remove(litter)
+      this.getLitterIndex().remove(litter)
+      this.getScoreBoard().collect(litter)
+    })
+    return collected
+  }
+
+  /**
+   * Checks if two bounding spheres intersect.
+   *
+   * @param position {THREE.Vector3} center of the first sphere
+   * @param radius {number} radius of the first sphere
+   * @param other {THREE.Object3D} object with the second sphere (uses its position and raioCol)
+   *
+   * @return {boolean}
+   */
+  static collides(position, radius, other) {
+    return position.distanceTo(other.position) <= radius + other.raioCol
+  }
+
+  /**
+   * Counts the litter that still has to be collected to clear the orbit (hazardous litter is not required).
+   *
+   * @return {number}
+   */
+  collectableLitterLeft() {
+    return this.getLitterIndex().getAll().filter((litter) => !litter.hazardous).length
+  }
+
+  /**
+   * Checks if every piece of litter that had to be collected was.
+   *
+   * @return {boolean}
+   */
+  isCleared() {
+    return this.collectableLitterLeft() === 0
+  }
+
+  /**
+   * Checks if the round has ended, either because the orbit was cleared or the spaceship ran out of lives.
+   *
+   * @return {boolean}
+   */
+  isOver() {
+    return this.isCleared() || !this.getScoreBoard().hasLivesLeft()
+  }
+
+}
+
+const _ORBIT_RADIUS_FACTOR = 1.2
+
+/* Pieces of each litter shape spawned in each wave */
+const _LITTER_COUNTS = {
+  [LitterType.CUBE]: 5,
+  [LitterType.CYLINDER]: 5,
+  [LitterType.CONE]: 5,
+  [LitterType.PYRAMID]: 5
+}
@@ -0,0 +1,82 @@
+/**
+ * Smooths rendering of a fixed-step simulation. The transform of each object is saved before every simulation step,
+ * and objects are displayed part of the way between that saved transform and the simulated one. The simulated
+ * transform is put back after rendering, so the simulation never sees interpolated values.
+ */
+class TransformInterpolator {
+
+  /**
+   * Transform of each object before the latest simulation step.
+   *
+   * @type {WeakMap<THREE.Object3D, {position: THREE.Vector3, quaternion: THREE.Quaternion}>}
+   */
+  #previous
+
+  /**
+   * Simulated transform of each object currently displayed with an interpolated one.
+   *
+   * @type {Map<THREE.Object3D, {position: THREE.Vector3, quaternion: THREE.Quaternion}>}
+   */
+  #current
+
+  /**
+   * TransformInterpolator class constructor.
+   */
+  constructor() {
+    this.#previous = new WeakMap()
+    this.#current = new Map()
+  }
+
+  /**
+   * Saves the transform of every object. Must be called right before each simulation step.
+   *
+   * @param objects {Array<THREE.Object3D>}
+   */
+  capture(objects) {
+    objects.forEach((object) => this.#previous.set(object, TransformInterpolator.#save(object)))
+  }
+
+  /**
+   * Displays every object between its saved and simulated transforms. Objects that were never captured (added since
+   * the latest step) are displayed as simulated.
+   *
+   * @param objects {Array<THREE.Object3D>}
+   * @param alpha {number} 0 (saved transform) to 1 (simulated transform)
+   */
+  apply(objects, alpha) {
+    this.restore()
+    objects.forEach((object) => {
+      let previous = this.#previous.get(object)
+      if (previous === undefined)
+        return
+
+      let current = TransformInterpolator.#save(object)
+      this.#current.set(object, current)
+      object.position.lerpVectors(previous.position, current.position, alpha)
+      object.quaternion.slerpQuaternions(previous.quaternion, current.quaternion, alpha)
+    })
+  }
+
+  /**
+   * Puts back the simulated transform of every object changed by apply.
+   */
+  restore() {
+    this.#current.forEach(({position, quaternion}, object) => {
+      object.position.copy(position)
+      object.quaternion.copy(quaternion)
+    })
+    this.#current.clear()
+  }
+
+  /**
+   * Copies the transform of an object.
+   *
+   * @param object {THREE.Object3D}
+   *
+   * @return {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+   */
+  static #save(object) {
+    return {position: object.position.clone(), quaternion: object.quaternion.clone()}
+  }
+
+}
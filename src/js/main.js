@@ -22,63 +22,119 @@ class Main {
   #controller
 
   /**
-   * Holds spaceship.
+   * Holds the current round (world, spaceship, litter and score).
+   *
+   * @type {Simulation}
    */
-  #compound
+  #simulation
 
   /**
-   * Holds litter in hemisphere 1.
+   * Broad-phase index reused by every round to hold the litter still in orbit (null lets each round use the default).
+   *
+   * @type {SpatialIndex|null}
    */
-  #litter_h1
+  #litterIndex
 
   /**
-   * Holds litter in hemisphere 2.
+   * Holds clock value and determines delta time. This allows for pcs with lower fps to still get a good image.
    */
-  #litter_h2
+  #clock
 
   /**
-   * Holds litter in hemisphere 3.
+   * Overlay displayed when a round ends.
    */
-  #litter_h3
+  #resultScreen
 
   /**
-   * Holds litter in hemisphere 4.
+   * Overlay displayed before the first round.
    */
-  #litter_h4
+  #titleScreen
 
   /**
-   * Holds clock value and determines delta time. This allows for pcs with lower fps to still get a good image.
+   * Overlay displayed while the game is paused.
    */
-  #clock
+  #pauseScreen
+
+  /**
+   * Seed requested through the URL (null if every round should get a new seed).
+   */
+  #querySeed
+
+  /**
+   * Label that displays the seed of the current round.
+   */
+  #seedLabel
+
+  /**
+   * Overlay where the player rebinds keys.
+   */
+  #bindingsPanel
+
+  /**
+   * Heads-up display with the spaceship's telemetry.
+   */
+  #hud
 
   /**
-   * Holds all the objects that were added to the scene.
-   * 
-   * @type {Array<THREE.Mesh>}
+   * Radar with the debris around the spaceship.
    */
-  #sceneObjects
+  #radar
 
-  #sceneScale
+  /**
+   * Map of the whole world with every piece of debris.
+   */
+  #minimap
+
+  /**
+   * Current game state (see GameState). The simulation only advances while playing.
+   */
+  #state
+
+  /**
+   * Elapsed time not yet simulated, always less than one step after a frame (seconds).
+   */
+  #accumulator
+
+  /**
+   * Displays moving objects between simulation steps.
+   *
+   * @type {TransformInterpolator}
+   */
+  #interpolator
 
   /**
    * Main class constructor.
+   *
+   * @param litterIndex {SpatialIndex|null} broad-phase index used to find litter close to a point (null uses the
+   *   simulation's default)
    */
-  constructor() {
+  constructor(litterIndex = null) {
 
     /* Builds components required to manage, control and display our scene */
     this.#renderer = Main.#initRenderer()
-    this.#sceneObjects = Array()
-    this.#litter_h1 = Array()
-    this.#litter_h2 = Array()
-    this.#litter_h3 = Array()
-    this.#litter_h4 = Array()
-    this.#compound = new CompoundObject()
-    let [scene, followCamera, sceneScale]  = this.#initScene()
-    this.#sceneScale = sceneScale
-    this.#scene = scene
-    this.#context = new ContextManagementEngine(this.getScene(), followCamera)
+    this.#litterIndex = litterIndex
+    this.#querySeed = SeededRandom.seedFromQuery(window.location.search)
+    this.#scene = this.#initScene()
+    this.#context = new ContextManagementEngine(this.getScene(), this.getRenderer().domElement)
+    this.#context.setFollowTarget(this.getCompound().getPrimary())
+    this.#context.attachSpotlight(this.getCompound().getPrimary())
+    let gamepad = new GamepadController()
     this.#controller = new KeyController()
+    this.#controller.addSource(gamepad)
+    this.#controller.addSource(new TouchController())
     this.#clock = new THREE.Clock(true)
+    this.#resultScreen = new ResultScreen(this.restart)
+    this.#titleScreen = new TitleScreen(this.start)
+    this.#pauseScreen = new PauseScreen(this.resume, this.restart)
+    this.#seedLabel = new SeedLabel()
+    this.#seedLabel.show(this.getRandom().getSeed())
+    this.#bindingsPanel = new KeyBindingsPanel(this.getController().getBindings(), gamepad)
+    this.#hud = new Hud()
+    this.#radar = new Radar()
+    this.#minimap = new Minimap()
+    this.#accumulator = 0
+    this.#interpolator = new TransformInterpolator()
+    this.#setState(GameState.TITLE)
 
     /* Renders everything in the UI */
     this.#display()
@@ -94,10 +150,25 @@ class Main {
      this.getController().onKeyUp(event)
     }.bind(this), false)
 
+    /* Keeps the canvas and cameras matching the window (also fired when the page is zoomed) */
+    window.addEventListener("resize", this.#onResize, false)
+
+    /* Resizing is not notified when the window is only dragged to a screen with another pixel density */
+    this.#watchPixelRatio()
+
+    /* Pauses when the player switches to another window or tab (key releases would be missed meanwhile) */
+    window.addEventListener("blur", this.#onFocusLost, false)
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden)
+        this.#onFocusLost()
+    }, false)
+
   }
 
   /**
    * Creates scene and adds objects to it.
+   *
+   * @return {THREE.Scene}
    */
   #initScene() {
     'use strict'
@@ -105,14 +176,10 @@ class Main {
     /* Creates scene  */
     let scene = new THREE.Scene()
 
-    let followCamera = new THREE.PerspectiveCamera(80, window.innerWidth / window.innerHeight, 1, 1000)
-
-    let r = new THREE.Object3D()
-
     /* Adds rest of objects to the scene */
-    this.#buildScene(scene, followCamera, r)
+    this.#buildScene(scene)
 
-    return [scene, followCamera, r]
+    return scene
   }
 
   /**
@@ -125,12 +192,45 @@ class Main {
 
     /*  (we set this to the max size of the screen) */
     let renderer = new THREE.WebGLRenderer({ antialias: true })
+    renderer.setPixelRatio(window.devicePixelRatio)
     renderer.setSize(window.innerWidth, window.innerHeight)
     document.body.appendChild(renderer.domElement)
 
     return renderer
   }
 
+  /**
+   * Releases every pressed key and pauses the game.
+   */
+  #onFocusLost = () => {
+    this.getController().releaseAll()
+    this.pause()
+  }
+
+  /**
+   * Resizes the renderer to the window and updates its pixel ratio and every camera's aspect.
+   */
+  #onResize = () => {
+    let width = window.innerWidth
+    let height = window.innerHeight
+
+    this.getRenderer().setPixelRatio(window.devicePixelRatio)
+    this.getRenderer().setSize(width, height)
+    this.getContext().resize(width, height)
+    this.#hud.resize(width, height)
+  }
+
+  /**
+   * Resizes the renderer once the pixel ratio changes. A media query only matches the ratio it was built with, so a new
+   * one is watched after every change.
+   */
+  #watchPixelRatio = () => {
+    window.matchMedia?.(`(resolution: ${window.devicePixelRatio}dppx)`)?.addEventListener("change", () => {
+      this.#onResize()
+      this.#watchPixelRatio()
+    }, {once: true})
+  }
+
   /**
    * Returns scene object (holds all other objects in the screen).
    *
@@ -143,7 +243,21 @@ class Main {
    *
    * @return {CompoundObject}
    */
-  getCompound() { return this.#compound }
+  getCompound() { return this.getSimulation().getCompound() }
+
+  /**
+   * Returns globe.
+   *
+   * @return {Globe}
+   */
+  getGlobe() { return this.getSimulation().getGlobe() }
+
+  /**
+   * Returns litter spawner.
+   *
+   * @return {DebrisSpawner}
+   */
+  getSpawner() { return this.getSimulation().getSpawner() }
 
   /**
    * Returns context.
@@ -164,7 +278,7 @@ class Main {
    *
    * @return {Array<THREE.Mesh>}
    */
-  getSceneObjects() { return this.#sceneObjects }
+  getSceneObjects() { return this.getSimulation().getSceneObjects() }
 
   /**
    * Returns three.js clock.
@@ -180,438 +294,176 @@ class Main {
    */
   getController() { return this.#controller }
 
-  /** Check wich hemisphere the litter is*/
-  #addHemisphere = (m) => {
-    if (m.position.x >= 0 && m.position.z >= 0)
-      this.#litter_h1.push(m);
-    else if (m.position.x < 0 && m.position.z >= 0)
-      this.#litter_h2.push(m);
-    else if (m.position.x >= 0 && m.position.z < 0)
-      this.#litter_h3.push(m);
-    else if (m.position.x < 0 && m.position.z < 0)
-      this.#litter_h4.push(m);
-  }
+  /**
+   * Returns score board of the current round.
+   *
+   * @return {ScoreBoard}
+   */
+  getScoreBoard() { return this.getSimulation().getScoreBoard() }
 
   /**
-   * Adds objects to the scene.
+   * Returns the seeded random number generator of the current round.
+   *
+   * @return {SeededRandom}
    */
-  #buildScene = (scene, followCamera, r) => {
-    'use strict'
+  getRandom() { return this.getSimulation().getRandom() }
 
-    let radius
-    let geometry
-    let material
-    let widthSegments
-    let heightSegments
-    let ball
-    let height
-    let cube
-    let depth
-    let depthSegments
-    let width
-    let spaceshipBody
-    let spaceshipHead
-
-    // World
-    radius = _EARTH_RADIUS
-    widthSegments = 32
-    heightSegments = 32
-    geometry = new THREE.SphereGeometry(radius, widthSegments, heightSegments)
-    material = new THREE.MeshBasicMaterial({color: 0xfffff})
-    ball = new THREE.Mesh(geometry, material)
-    ball.position.x = 0
-    ball.position.y = 0
-    ball.position.z = 0
-    r.add(ball)
-    this.#sceneObjects.push(ball)
-
-    // Orbital trash
-    let min
-    let max
-    let size
-    let x
-    let y
-    let z
-    let pos
-    let radialSegments
-
-    //Cubes
-    for (var i= 0 ;i<5;i+=1) {
-      min = Math.ceil(_EARTH_RADIUS/24);
-      max = Math.floor(_EARTH_RADIUS/20);
-      size = Math.floor(Math.random() * (max - min)) + min
-
-      width = size  // ui: width
-      height = size  // ui: height
-      depth = size  // ui: depth
-      widthSegments = 5  // ui: widthSegments
-      heightSegments = 5  // ui: heightSegments
-      depthSegments = 5  // ui: depthSegments
-      geometry = new THREE.BoxGeometry(width, height, depth, widthSegments, heightSegments, depthSegments)
-      material = new THREE.MeshBasicMaterial( { color: 0xfc9803 } )
-      cube = new THREE.Mesh( geometry, material )
-
-      min = Math.ceil(_EARTH_RADIUS*1.2)
-      max = Math.floor(-(_EARTH_RADIUS*1.2))
-      x = Math.floor(Math.random() * (max - min)) + min
-      y = Math.floor(Math.random() * (max - min)) + min
-      pos = Math.random()
-      if (pos >= 0.5)
-        z = Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-      else
-        z = -Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-
-      cube.position.x = x
-      cube.position.y = y
-      cube.position.z = z
-      cube.raioCol = (Math.sqrt(3)/2)*size
-
-      let check = true
-
-      /* Check for collisions in the first hemisphere */
-      for (let j = 0; j < this.#sceneObjects.length; j++) {
-
-        /* Call function to detect collision*/
-        let x1 = this.#sceneObjects[i].position.x;
-        let y1 = this.#sceneObjects[i].position.y;
-        let z1 = this.#sceneObjects[i].position.z;
-
-        let x2 = Math.abs(x1 - x);
-        let y2 = Math.abs(y1 - y);
-        let z2 = Math.abs(z1 - z);
-
-        let distance = Math.sqrt((x2 * x2) + (y2 * y2) + (z2 * z2));
-
-        /* We have to remove this litter from the scene*/
-        if (distance <= this.#sceneObjects[i].raioCol + cube.raioCol) {
-          r.remove(this.#sceneObjects[i])
-
-          this.#sceneObjects.slice(i, 1)
-          check = false
-          i -= 1
-        }
-
-      }
-      if (check) {
-        r.add(cube)
-        this.#sceneObjects.push(cube)
-        this.#addHemisphere(cube)
-      }
+  /**
+   * Returns the current round.
+   *
+   * @return {Simulation}
+   */
+  getSimulation() { return this.#simulation }
 
-    }
+  /**
+   * Returns the broad-phase index that holds the litter still in orbit.
+   *
+   * @return {SpatialIndex}
+   */
+  getLitterIndex() { return this.getSimulation().getLitterIndex() }
 
-    //Cylinders
-    for (var i= 0 ;i<5;i+=1) {
-      min = Math.ceil(_EARTH_RADIUS/24);
-      max = Math.floor(_EARTH_RADIUS/20);
-      height = Math.floor(Math.random() * (max - min)) + min
-      radius = Math.floor(Math.random() * (max - min)) + min
-      radius = radius/2
-
-      radialSegments = 30  // ui: depthSegments
-      geometry = new THREE.CylinderGeometry(radius, radius, height, radialSegments)
-      material = new THREE.MeshBasicMaterial( { color: 0xfc9803 } )
-      cube = new THREE.Mesh( geometry, material )
-      cube.raioCol = Math.sqrt((radius**2) + ((height/2)**2))
-
-      min = Math.ceil(_EARTH_RADIUS*1.2)
-      max = Math.floor(-(_EARTH_RADIUS*1.2))
-      x = Math.floor(Math.random() * (max - min)) + min
-      y = Math.floor(Math.random() * (max - min)) + min
-      pos = Math.random()
-      if (pos >= 0.5)
-        z = Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-      else
-        z = -Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-
-      cube.position.x = x
-      cube.position.y = y
-      cube.position.z = z
-      r.add(cube)
-      this.#sceneObjects.push(cube)
-      this.#addHemisphere(cube)
-
-      let check = true
-
-      /* Check for collisions in the first hemisphere */
-      for (let j = 0; j < this.#sceneObjects.length; j++) {
-
-        /* Call function to detect collision*/
-        let x1 = this.#sceneObjects[i].position.x;
-        let y1 = this.#sceneObjects[i].position.y;
-        let z1 = this.#sceneObjects[i].position.z;
-
-        let x2 = Math.abs(x1 - x);
-        let y2 = Math.abs(y1 - y);
-        let z2 = Math.abs(z1 - z);
-
-        let distance = Math.sqrt((x2 * x2) + (y2 * y2) + (z2 * z2));
-
-        /* We have to remove this litter from the scene*/
-        if (distance <= this.#sceneObjects[i].raioCol + cube.raioCol) {
-          r.remove(this.#sceneObjects[i])
-
-          this.#sceneObjects.slice(i, 1)
-          check = false
-          i -= 1
-        }
-
-      }
-      if (check) {
-        r.add(cube)
-        this.#sceneObjects.push(cube)
-        this.#addHemisphere(cube)
-      }
-    }
+  /**
+   * Lays out a new round and adds it to the scene. A seed given in the URL is replayed, otherwise a new one is drawn.
+   *
+   * @param scene {THREE.Scene}
+   */
+  #buildScene(scene) {
+    this.#litterIndex?.clear()
+    this.#simulation = new Simulation(this.#querySeed ?? SeededRandom.randomSeed(), this.#litterIndex)
+    this.getGlobe().loadTexture()
+    scene.add(this.getSimulation().getPivot())
+  }
 
-    //Cones
-    for (var i= 0 ;i<5;i+=1) {
-      min = Math.ceil(_EARTH_RADIUS/24);
-      max = Math.floor(_EARTH_RADIUS/20);
-      height = Math.floor(Math.random() * (max - min)) + min
-      radius = Math.floor(Math.random() * (max - min)) + min
-      radius = radius/2
-
-      radialSegments = 30  // ui: depthSegments
-      geometry = new THREE.ConeGeometry(radius, height, radialSegments)
-      material = new THREE.MeshBasicMaterial( { color: 0xfc9803 } )
-      cube = new THREE.Mesh( geometry, material )
-
-      min = Math.ceil(_EARTH_RADIUS*1.2)
-      max = Math.floor(-(_EARTH_RADIUS*1.2))
-      cube.raioCol = Math.sqrt((radius**2) + ((height/2)**2))
-      min = Math.ceil(84)
-      max = Math.floor(-84)
-      x = Math.floor(Math.random() * (max - min)) + min
-      y = Math.floor(Math.random() * (max - min)) + min
-      pos = Math.random()
-      if (pos >= 0.5)
-        z = Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-      else
-        z = -Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-
-      cube.position.x = x
-      cube.position.y = y
-      cube.position.z = z
-      r.add(cube)
-      this.#sceneObjects.push(cube)
-      this.#addHemisphere(cube)
-
-      let check = true
-
-      /* Check for collisions in the first hemisphere */
-      for (let j = 0; j < this.#sceneObjects.length; j++) {
-
-        /* Call function to detect collision*/
-        let x1 = this.#sceneObjects[i].position.x;
-        let y1 = this.#sceneObjects[i].position.y;
-        let z1 = this.#sceneObjects[i].position.z;
-
-        let x2 = Math.abs(x1 - x);
-        let y2 = Math.abs(y1 - y);
-        let z2 = Math.abs(z1 - z);
-
-        let distance = Math.sqrt((x2 * x2) + (y2 * y2) + (z2 * z2));
-
-        /* We have to remove this litter from the scene*/
-        if (distance <= this.#sceneObjects[i].raioCol + cube.raioCol) {
-          r.remove(this.#sceneObjects[i])
-
-          this.#sceneObjects.slice(i, 1)
-          check = false
-          i -= 1
-        }
-
-      }
-      if (check) {
-        r.add(cube)
-        this.#sceneObjects.push(cube)
-        this.#addHemisphere(cube)
-      }
+  /**
+   * Counts the litter left in each of the four x/z hemispheres (h1: +x+z, h2: -x+z, h3: +x-z, h4: -x-z).
+   *
+   * @return {Array<number>}
+   */
+  #litterPerHemisphere() {
+    let counts = [0, 0, 0, 0]
+    this.getLitterIndex().getAll().forEach(({position}) => {
+      counts[(position.x < 0 ? 1 : 0) + (position.z < 0 ? 2 : 0)]++
+    })
+    return counts
+  }
+
+  /**
+   * Gathers the values displayed in the heads-up display.
+   *
+   * @return {Object} see Hud.update
+   */
+  #telemetry() {
+    let {theta, phi} = this.getCompound().getSphericalAngles()
+    return {
+      latitude: 90 - THREE.MathUtils.radToDeg(phi),
+      longitude: THREE.MathUtils.radToDeg(theta),
+      altitude: this.getCompound().getPrimary().position.length() - _EARTH_RADIUS,
+      speed: this.getCompound().getSpeed(),
+      camera: this.getContext().getCameraPlugin()?.getCurrentType() ?? null,
+      debris: this.#litterPerHemisphere(),
+      score: this.getScoreBoard().getScore(),
+      lives: this.getScoreBoard().getLives()
     }
+  }
 
-    //Pyramids
-    for (var i= 0 ;i<5;i+=1) {
-      min = Math.ceil(_EARTH_RADIUS/24);
-      max = Math.floor(_EARTH_RADIUS/20);
-      height = Math.floor(Math.random() * (max - min)) + min
-      radius = Math.floor(Math.random() * (max - min)) + min
-      radius = radius/2
-
-      radialSegments = 4  // ui: depthSegments
-      geometry = new THREE.ConeGeometry(radius, height, radialSegments)
-      material = new THREE.MeshBasicMaterial( { color: 0xfc9803 } )
-      cube = new THREE.Mesh( geometry, material )
-      cube.raioCol = Math.sqrt((radius**2) + ((height/2)**2))
-
-      min = Math.ceil(_EARTH_RADIUS*1.2)
-      max = Math.floor(-(_EARTH_RADIUS*1.2))
-      x = Math.floor(Math.random() * (max - min)) + min
-      y = Math.floor(Math.random() * (max - min)) + min
-      pos = Math.random()
-      if (pos >= 0.5)
-        z = Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-      else
-        z = -Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-
-      cube.position.x = x
-      cube.position.y = y
-      cube.position.z = z
-
-      r.add(cube)
-      this.#sceneObjects.push(cube)
-      this.#addHemisphere(cube)
-
-      let check = true
-
-      /* Check for collisions in the first hemisphere */
-      for (let j = 0; j < this.#sceneObjects.length; j++) {
-
-        /* Call function to detect collision*/
-        let x1 = this.#sceneObjects[i].position.x;
-        let y1 = this.#sceneObjects[i].position.y;
-        let z1 = this.#sceneObjects[i].position.z;
-
-        let x2 = Math.abs(x1 - x);
-        let y2 = Math.abs(y1 - y);
-        let z2 = Math.abs(z1 - z);
-
-        let distance = Math.sqrt((x2 * x2) + (y2 * y2) + (z2 * z2));
-
-        /* We have to remove this litter from the scene*/
-        if (distance <= this.#sceneObjects[i].raioCol + cube.raioCol) {
-          r.remove(this.#sceneObjects[i])
-
-          this.#sceneObjects.slice(i, 1)
-          check = false
-          i -= 1
-        }
-
-      }
-      if (check) {
-        r.add(cube)
-        this.#sceneObjects.push(cube)
-        this.#addHemisphere(cube)
-      }
+  /**
+   * Ends the round if the orbit was cleared or if the spaceship ran out of lives.
+   */
+  #checkRoundOver() {
+    if (this.getSimulation().isOver()) {
+      this.#setState(GameState.GAME_OVER)
+      this.#resultScreen.show(this.getSimulation().isCleared(), this.getScoreBoard().getScore())
     }
+  }
 
-    // Spaceship
-    const group = new THREE.Group();
-    min = Math.ceil(_EARTH_RADIUS*1.2)
-    max = Math.floor(-(_EARTH_RADIUS*1.2))
-    x = Math.floor(Math.random() * (max - min)) + min
-    y = Math.floor(Math.random() * (max - min)) + min
-    pos = Math.random()
-    if (pos >= 0.5)
-      z = Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-    else
-      z = -Math.sqrt((_EARTH_RADIUS*1.2)**2 - x**2 - y**2)
-
-    geometry = new THREE.CylinderGeometry(3, 3, 5, 32)
-    material = new THREE.MeshBasicMaterial({color: 0xffff00})
-    spaceshipBody = new THREE.Mesh(geometry, material)
-    spaceshipBody.position.x = 0
-    spaceshipBody.position.y = 0
-    spaceshipBody.position.z = 0
-    this.getCompound().setPrimary(spaceshipBody)
-    this.getCompound().setSecondary(followCamera)
-    followCamera.position.x = 0
-    followCamera.position.y = -30
-    followCamera.position.z = -30
-    followCamera.lookAt(this.getCompound().getGroup().position)
-
-    spaceshipBody.position.x = x
-    spaceshipBody.position.y = y
-    spaceshipBody.position.z = z
-
-    geometry = new THREE.CylinderGeometry(1, 1, 0.5, 32)
-    material = new THREE.MeshBasicMaterial({color: 0xffff00})
-    spaceshipHead = new THREE.Mesh(geometry, material)
-    spaceshipHead.position.y = 3.5
-    this.getCompound().setSecondary(spaceshipHead)
-
-    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
-    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
-    let capsule = new THREE.Mesh( geometry, material );
-    capsule.position.x = 0
-    capsule.position.y = -2
-    capsule.position.z = 2.8
-    this.getCompound().setSecondary(capsule)
-
-    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
-    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
-    capsule = new THREE.Mesh( geometry, material );
-    capsule.position.x = -2.8
-    capsule.position.y = -2
-    capsule.position.z = 0
-    this.getCompound().setSecondary(capsule)
-
-    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
-    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
-    capsule = new THREE.Mesh( geometry, material );
-    capsule.position.x = 2.8
-    capsule.position.y = -2
-    capsule.position.z = 0
-    this.getCompound().setSecondary(capsule)
-
-    geometry = new THREE.CapsuleGeometry( 0.6, 1, 4, 8 );
-    material = new THREE.MeshBasicMaterial( {color: 0x00ff00} );
-    capsule = new THREE.Mesh( geometry, material );
-    capsule.position.x = 0
-    capsule.position.y = -2
-    capsule.position.z = -2.8
-    this.getCompound().setSecondary(capsule)
-
-    this.#compound.raioCol = Math.sqrt(((spaceshipBody.geometry.parameters.height +
-            spaceshipHead.geometry.parameters.height)**2) + ((spaceshipHead.geometry.parameters.radiusTop/2)**2))
-
-    r.add(this.getCompound().getGroup())
-    scene.add(r)
-    this.#sceneObjects.push(this.getCompound().getGroup())
+  /**
+   * Gets current game state.
+   *
+   * @return {number} see GameState
+   */
+  getState() { return this.#state }
 
+  /**
+   * Updates current game state and displays its overlay (the result screen is displayed by checkRoundOver, since it
+   * needs the outcome of the round).
+   *
+   * @param state {number} see GameState
+   */
+  #setState(state) {
+    this.#state = state
+    this.getController().clearTriggers()
+    this.#titleScreen.hide()
+    this.#pauseScreen.hide()
+    this.#resultScreen.hide()
+
+    if (state === GameState.TITLE)
+      this.#titleScreen.show()
+    else if (state === GameState.PAUSED)
+      this.#pauseScreen.show()
   }
 
   /**
-   * Check for collisions. If there is a collision, remove the litter from the scene
+   * Leaves the title screen and starts playing.
    */
-  #checkCollision = (list) => {
-    let x2 = this.getCompound().getPrimary().position.x;
-    let y2 = this.getCompound().getPrimary().position.y;
-    let z2 = this.getCompound().getPrimary().position.z;
+  start = () => {
+    if (this.getState() !== GameState.TITLE)
+      return
 
-    /* Check for collisions in the first hemisphere */
-    for (let i = 0; i < list.length; i++) {
+    this.#setState(GameState.PLAYING)
+    this.getClock().getDelta()
+  }
 
-      /* Call function to detect collision*/
-      let x1 = list[i].position.x;
-      let y1 = list[i].position.y;
-      let z1 = list[i].position.z;
+  /**
+   * Freezes the simulation.
+   */
+  pause = () => {
+    if (this.getState() === GameState.PLAYING)
+      this.#setState(GameState.PAUSED)
+  }
 
-      let x = Math.abs(x1 - x2);
-      let y = Math.abs(y1 - y2);
-      let z = Math.abs(z1 - z2);
+  /**
+   * Unfreezes the simulation. The time spent paused is discarded, so that nothing jumps forward.
+   */
+  resume = () => {
+    if (this.getState() !== GameState.PAUSED)
+      return
 
-      let distance = Math.sqrt((x * x) + (y * y) + (z * z));
+    this.#setState(GameState.PLAYING)
+    this.getClock().getDelta()
+  }
 
-      /* We have to remove this litter from the scene*/
-      if (distance <= list[i].raioCol + this.#compound.raioCol) {
-        this.#sceneScale.remove(list[i])
+  /**
+   * Spawns a new wave of litter during play, keeping it clear of the spaceship.
+   */
+  spawnWave = () => {
+    this.getSimulation().spawnWave()
+  }
 
-        list.slice(i, 1)
-      }
+  /**
+   * Starts a new round without reloading the page. The previous world, litter and spaceship are discarded and a fresh
+   * scene is built, with the follow camera chasing the new spaceship. A seed given in the URL is replayed, otherwise a
+   * new one is drawn.
+   */
+  restart = () => {
+    'use strict'
 
-    }
-  }
+    this.getScene().remove(this.getSimulation().getPivot())
+
+    /* The flight and rotation modes chosen by the player outlive the round */
+    let flightMode = this.getCompound().getFlightMode()
+    let rotationMode = this.getGlobe().getRotationMode()
+    this.#buildScene(this.getScene())
+    this.#seedLabel.show(this.getRandom().getSeed())
+    this.getCompound().setFlightMode(flightMode)
+    this.getGlobe().setRotationMode(rotationMode)
+    this.getContext().setFollowTarget(this.getCompound().getPrimary())
+    this.getContext().attachSpotlight(this.getCompound().getPrimary())
+
+    this.#accumulator = 0
+    this.#setState(GameState.PLAYING)
 
-  #checkCollisionHemisphere = (x, z) =>{
-    if (x >= 0 && z >= 0)
-      this.#checkCollision(this.#litter_h1)
-    else if (x < 0 && z >= 0)
-      this.#checkCollision(this.#litter_h2)
-    else if (x >= 0 && z < 0)
-      this.#checkCollision(this.#litter_h3)
-    else if (x < 0 && z < 0)
-      this.#checkCollision(this.#litter_h4)
+    /* Discards the time spent on the result screen */
+    this.getClock().getDelta()
   }
 
   /**
@@ -619,7 +471,7 @@ class Main {
    */
   #display = () => {
     'use strict'
-    this.getRenderer().render(this.getScene(), this.getContext().getCamera())
+    this.getContext().render(this.getRenderer(), this.getScene())
   }
 
   /**
@@ -628,16 +480,103 @@ class Main {
    */
   #update = () => {
 
-    /* Gets the elapsed time from the previous frame. This makes fps smoother in lower end pc's */
-    let delta = this.getClock().getDelta()
+    /* Gets the elapsed time from the previous frame. This makes fps smoother in lower end pc's. Long stalls (the
+     * browser throttling a background tab) are clamped so that nothing jumps forward */
+    let frameTime = this.getClock().getDelta()
+    let delta = Math.min(frameTime, _MAX_DELTA)
 
-    this.#checkCollisionHemisphere(this.getCompound().getPrimary().position.x, this.getCompound().getPrimary().position.z)
+    /* Reads input devices that do not raise events (gamepads) */
+    this.getController().poll()
+
+    /* Opens or closes the key bindings panel. Play is paused while it is open, so that the spaceship does not fly on
+     * while keys are being rebound */
+    if (this.getController().consume(Action.KEY_BINDINGS)) {
+      this.#bindingsPanel.toggle()
+      if (this.#bindingsPanel.isVisible())
+        this.pause()
+    }
+    if (this.getController().consume(Action.MINIMAP))
+      this.#minimap.toggle()
+
+    /* Refreshes the heads-up display, the radar and the world map */
+    this.#hud.update(frameTime, this.#telemetry())
+    this.#radar.update(this.getCompound(), this.getLitterIndex().getAll())
+    this.#minimap.update(this.getCompound(), this.getLitterIndex().getAll())
+
+    /* Only play moves the simulation, the other states only listen to the actions that leave them */
+    switch (this.getState()) {
+      case GameState.TITLE:
+        this.getController().processTitle(this.start)
+        break
+      case GameState.PAUSED:
+        this.getController().processPaused(this.resume, this.restart)
+        break
+      case GameState.GAME_OVER:
+        this.getController().processRoundOver(this.restart)
+        break
+      case GameState.PLAYING:
+        this.#simulate(delta)
+        break
+    }
+
+    /* Advances plugins that animate over time (camera transitions, orbit camera, shading), in every state */
+    this.getContext().update(delta)
+
+  }
+
+  /**
+   * Simulates the elapsed time in fixed steps, so that movement and collisions do not depend on the frame rate. When
+   * the steps cannot keep up, the time left over is dropped instead of piling up.
+   *
+   * @param delta {number} elapsed time since the previous frame (seconds)
+   */
+  #simulate(delta) {
+    this.#accumulator += delta
+    let steps = 0
+    while (this.#accumulator >= _FIXED_STEP && steps < _MAX_SUBSTEPS && this.getState() === GameState.PLAYING) {
+      this.#interpolator.capture(this.#movingObjects())
+      this.#step(_FIXED_STEP)
+      this.#accumulator -= _FIXED_STEP
+      steps++
+    }
+    if (steps === _MAX_SUBSTEPS)
+      this.#accumulator %= _FIXED_STEP
+
+    /* Displays moving objects between the last two steps */
+    this.#interpolator.apply(this.#movingObjects(), this.#accumulator / _FIXED_STEP)
+  }
+
+  /**
+   * Advances the simulation by a fixed step.
+   *
+   * @param step {number} simulated time (seconds)
+   */
+  #step(step) {
 
     /* Prompts key controller to check which keys were pressed and to delegate actions to the various components */
-    this.getController().processKeyPressed(this.getContext(), this.getSceneObjects(), this.getCompound(), delta, _EARTH_RADIUS*1.2)
+    this.getController().processKeyPressed(this.getContext(), this.getSceneObjects(), this.getCompound(), this.getGlobe(),
+      this.spawnWave, step, this.pause)
+
+    /* Pausing freezes the game before anything moves */
+    if (this.getState() !== GameState.PLAYING)
+      return
+
+    /* Flies the spaceship, spins the world, moves litter along its orbit and collects whatever the spaceship touches */
+    let {directions, boost, magnitudes} = this.getController().getMovement()
+    this.getSimulation().step(step, directions, boost, magnitudes)
+
+    this.#checkRoundOver()
 
-    this.getCompound().getPrimary().lookAt(0, 0, 0)
+  }
 
+  /**
+   * Gets every object the simulation moves (displayed interpolated between steps).
+   *
+   * @return {Array<THREE.Object3D>}
+   */
+  #movingObjects() {
+    return [this.getSimulation().getPivot(), this.getGlobe().getMesh(), this.getCompound().getPrimary(),
+      ...this.getLitterIndex().getAll()]
   }
 
   /**
@@ -647,9 +586,10 @@ class Main {
   animate = () => {
     'use strict'
 
-    /* Update + Display life cycle */
+    /* Update + Display life cycle. Objects are displayed interpolated and get their simulated transform back after */
     this.#update()
     this.#display()
+    this.#interpolator.restore()
 
     /* Tells browser to call the animate function again after 1/60 seconds */
     requestAnimationFrame(this.animate)
@@ -657,4 +597,6 @@ class Main {
 
 }
 
-const _EARTH_RADIUS = 70
+const _MAX_DELTA = 0.1
+const _FIXED_STEP = 1 / 60
+const _MAX_SUBSTEPS = 5
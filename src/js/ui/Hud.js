@@ -0,0 +1,124 @@
+/**
+ * Heads-up display with the spaceship's telemetry and the state of the round. The text is refreshed a few times per
+ * second rather than on every frame, which keeps it readable and avoids needless DOM updates.
+ */
+class Hud {
+
+  /**
+   * DOM element that holds the whole display.
+   */
+  #element
+
+  /**
+   * DOM elements where each value is written, mapped by field name.
+   *
+   * @type {Object<string, HTMLElement>}
+   */
+  #fields
+
+  /**
+   * Time since the text was last refreshed (seconds).
+   */
+  #sinceRefresh
+
+  /**
+   * Frames per second, smoothed over the last frames.
+   */
+  #fps
+
+  /**
+   * Hud class constructor.
+   */
+  constructor() {
+    this.#element = document.createElement("div")
+    this.#element.className = "hud"
+    this.#fields = {}
+    this.#sinceRefresh = Infinity
+    this.#fps = 0
+
+    _HUD_FIELDS.forEach(({name, label}) => {
+      let row = document.createElement("div")
+      let value = document.createElement("span")
+      row.textContent = `${label}: `
+      row.appendChild(value)
+      this.#element.appendChild(row)
+      this.#fields[name] = value
+    })
+
+    document.body.appendChild(this.#element)
+    this.resize(window.innerWidth, window.innerHeight)
+  }
+
+  /**
+   * Adapts the layout to the window size (narrow windows get a smaller display).
+   *
+   * @param width {number} window width
+   * @param height {number} window height
+   */
+  resize(width, height) {
+    this.#element.classList.toggle("compact", width < _HUD_COMPACT_WIDTH || height < _HUD_COMPACT_HEIGHT)
+  }
+
+  /**
+   * Updates the displayed values.
+   *
+   * @param delta {number} real elapsed time since the previous frame (not clamped, so that slow frame rates show)
+   * @param telemetry {{latitude: number, longitude: number, altitude: number, speed: number, camera: number,
+   *   debris: Array<number>, score: number, lives: number}} current state (angles in degrees, camera as its type)
+   */
+  update(delta, telemetry) {
+    if (delta > 0)
+      this.#fps += (1 / delta - this.#fps) * _HUD_FPS_SMOOTHING
+
+    this.#sinceRefresh += delta
+    if (this.#sinceRefresh < _HUD_REFRESH_INTERVAL)
+      return
+    this.#sinceRefresh = 0
+
+    this.#fields.position.textContent = `${Hud.#angle(telemetry.latitude, "N", "S")} ` +
+      `${Hud.#angle(telemetry.longitude, "E", "W")}`
+    this.#fields.altitude.textContent = telemetry.altitude.toFixed(1)
+    this.#fields.speed.textContent = telemetry.speed.toFixed(1)
+    this.#fields.camera.textContent = _HUD_CAMERA_NAMES[telemetry.camera] ?? "-"
+    this.#fields.debris.textContent = telemetry.debris.map((count, i) => `H${i + 1} ${count}`).join("  ")
+    this.#fields.score.textContent = telemetry.score
+    this.#fields.lives.textContent = telemetry.lives
+    this.#fields.fps.textContent = Math.round(this.#fps)
+  }
+
+  /**
+   * Formats an angle with a hemisphere letter instead of a sign.
+   *
+   * @param degrees {number}
+   * @param positive {string} letter used for positive angles
+   * @param negative {string} letter used for negative angles
+   *
+   * @return {string}
+   */
+  static #angle(degrees, positive, negative) {
+    return `${Math.abs(degrees).toFixed(1)}\u00B0${degrees >= 0 ? positive : negative}`
+  }
+
+}
+
+/* Rows of the display, in order */
+const _HUD_FIELDS = [
+  {name: "position", label: "Position"},
+  {name: "altitude", label: "Altitude"},
+  {name: "speed", label: "Speed"},
+  {name: "camera", label: "Camera"},
+  {name: "debris", label: "Debris"},
+  {name: "score", label: "Score"},
+  {name: "lives", label: "Lives"},
+  {name: "fps", label: "FPS"}
+]
+const _HUD_CAMERA_NAMES = {
+  [CameraPlugin.FRONTAL]: "Front",
+  [CameraPlugin.SIDE]: "Side",
+  [CameraPlugin.FOLLOW]: "Follow",
+  [CameraPlugin.ORBIT]: "Orbit"
+}
+const _HUD_REFRESH_INTERVAL = 0.2
+const _HUD_FPS_SMOOTHING = 0.05
+const _HUD_COMPACT_WIDTH = 700
+const _HUD_COMPACT_HEIGHT = 450
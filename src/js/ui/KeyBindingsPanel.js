@@ -0,0 +1,230 @@
+/**
+ * Overlay that lists the key bindings of every action and allows the player to rebind them. Clicking a binding waits
+ * for the next key press: Escape cancels, Backspace clears the slot and a key already used by another action is
+ * refused with a warning. Also holds the gamepad stick deadzone slider.
+ */
+class KeyBindingsPanel {
+
+  /**
+   * Bindings being edited.
+   *
+   * @type {KeyBindings}
+   */
+  #bindings
+
+  /**
+   * DOM element that holds the whole overlay.
+   */
+  #element
+
+  /**
+   * DOM element that holds one row per action.
+   */
+  #table
+
+  /**
+   * DOM element where instructions and conflicts are written.
+   */
+  #message
+
+  /**
+   * Slot waiting for a key press ({action, slot}) or null when not capturing.
+   */
+  #capturing
+
+  /**
+   * KeyBindingsPanel class constructor.
+   *
+   * @param bindings {KeyBindings} bindings being edited
+   * @param gamepad {GamepadController|null} gamepad input whose deadzone can be changed (null hides the slider)
+   */
+  constructor(bindings, gamepad = null) {
+    this.#bindings = bindings
+    this.#capturing = null
+
+    this.#element = document.createElement("div")
+    this.#element.className = "overlay hidden"
+
+    let title = document.createElement("h1")
+    title.textContent = "Key bindings"
+
+    this.#table = document.createElement("table")
+    this.#message = document.createElement("p")
+
+    let reset = document.createElement("button")
+    reset.textContent = "Reset to defaults"
+    reset.addEventListener("click", () => {
+      this.#bindings.reset()
+      this.#capturing = null
+      this.#render("Default bindings restored")
+    })
+
+    let close = document.createElement("button")
+    close.textContent = "Close"
+    close.addEventListener("click", () => this.hide())
+
+    this.#element.append(title, this.#table, this.#message)
+    if (gamepad !== null)
+      this.#element.appendChild(KeyBindingsPanel.#buildDeadzoneSlider(gamepad))
+    this.#element.append(reset, close)
+    document.body.appendChild(this.#element)
+
+    /* Listens before anyone else so that the captured key does not reach the game */
+    window.addEventListener("keydown", this.#onKeyDown, true)
+  }
+
+  /**
+   * Builds the slider that changes the gamepad stick deadzone (saved as soon as it is moved).
+   *
+   * @param gamepad {GamepadController}
+   *
+   * @return {HTMLElement}
+   */
+  static #buildDeadzoneSlider(gamepad) {
+    let label = document.createElement("label")
+    let slider = document.createElement("input")
+    let value = document.createElement("span")
+    let show = () => { value.textContent = ` ${Math.round(gamepad.getDeadzone() * 100)}%` }
+
+    slider.type = "range"
+    slider.min = "0"
+    slider.max = String(_MAX_DEADZONE_SLIDER)
+    slider.step = "0.01"
+    slider.value = String(gamepad.getDeadzone())
+    slider.addEventListener("input", () => {
+      gamepad.setDeadzone(Number(slider.value))
+      show()
+    })
+
+    label.append("Gamepad stick deadzone ", slider, value)
+    show()
+    return label
+  }
+
+  /**
+   * Checks if the panel is being displayed.
+   *
+   * @return {boolean}
+   */
+  isVisible() { return !this.#element.classList.contains("hidden") }
+
+  /**
+   * Displays the panel.
+   */
+  show() {
+    this.#render("Click a binding and press the new key")
+    this.#element.classList.remove("hidden")
+  }
+
+  /**
+   * Hides the panel, cancelling any pending capture.
+   */
+  hide() {
+    this.#capturing = null
+    this.#element.classList.add("hidden")
+  }
+
+  /**
+   * Displays the panel if hidden and hides it otherwise.
+   */
+  toggle() {
+    this.isVisible() ? this.hide() : this.show()
+  }
+
+  /**
+   * Rebuilds the table with the current bindings.
+   *
+   * @param message {string} text displayed under the table
+   */
+  #render(message) {
+    this.#table.replaceChildren()
+    Object.values(Action).forEach((action) => {
+      let row = document.createElement("tr")
+      let label = document.createElement("td")
+      label.textContent = _ACTION_LABELS[action] ?? action
+      row.appendChild(label)
+
+      for (let slot = 0; slot < KeyBindings.SLOTS; slot++) {
+        let cell = document.createElement("td")
+        let button = document.createElement("button")
+        let waiting = this.#capturing?.action === action && this.#capturing?.slot === slot
+        button.textContent = waiting ? "Press a key..." : this.#bindings.getCode(action, slot) ?? "-"
+        button.addEventListener("click", () => {
+          this.#capturing = {action: action, slot: slot}
+          this.#render("Press the new key (Escape cancels, Backspace clears)")
+        })
+        cell.appendChild(button)
+        row.appendChild(cell)
+      }
+
+      this.#table.appendChild(row)
+    })
+    this.#message.textContent = message
+  }
+
+  /**
+   * Captures the key pressed after a binding was clicked.
+   *
+   * @param event key pressed event
+   */
+  #onKeyDown = (event) => {
+    if (this.#capturing === null)
+      return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    let {action, slot} = this.#capturing
+    this.#capturing = null
+
+    switch (event.code) {
+      case "Escape":
+        this.#render("Rebinding cancelled")
+        break
+      case "Backspace":
+        this.#bindings.unbind(action, slot)
+        this.#render(`${_ACTION_LABELS[action]} slot cleared`)
+        break
+      default: {
+        let conflicts = this.#bindings.bind(action, slot, event.code)
+        this.#render(conflicts.length === 0 ? `${_ACTION_LABELS[action]} bound to ${event.code}` :
+          `${event.code} is already used by ${conflicts.map((other) => _ACTION_LABELS[other]).join(", ")}`)
+      }
+    }
+  }
+
+}
+
+/* Names displayed for each action */
+const _ACTION_LABELS = {
+  [Action.CAMERA_FRONT]: "Front camera",
+  [Action.CAMERA_SIDE]: "Side camera",
+  [Action.CAMERA_FOLLOW]: "Follow camera",
+  [Action.CAMERA_ORBIT]: "Orbit camera",
+  [Action.CAMERA_RESET]: "Reset orbit camera",
+  [Action.FOLLOW_CLOSER]: "Follow camera closer",
+  [Action.FOLLOW_FARTHER]: "Follow camera farther",
+  [Action.FOLLOW_HIGHER]: "Follow camera higher",
+  [Action.FOLLOW_LOWER]: "Follow camera lower",
+  [Action.CAMERA_TRANSITIONS]: "Toggle camera transitions",
+  [Action.VIEW_LAYOUT]: "Change view layout",
+  [Action.MOVE_UP]: "Thrust forwards",
+  [Action.MOVE_DOWN]: "Thrust backwards",
+  [Action.MOVE_LEFT]: "Turn left",
+  [Action.MOVE_RIGHT]: "Turn right",
+  [Action.BOOST]: "Boost",
+  [Action.TOGGLE_ROTATION]: "Toggle globe rotation mode",
+  [Action.TOGGLE_FLIGHT]: "Toggle flight mode",
+  [Action.SPAWN_WAVE]: "Spawn litter wave",
+  [Action.RESTART]: "Start or restart round",
+  [Action.PAUSE]: "Pause",
+  [Action.KEY_BINDINGS]: "Key bindings",
+  [Action.MINIMAP]: "Toggle world map",
+  [Action.SHADING_MODE]: "Change shading",
+  [Action.TOGGLE_LIGHTING]: "Toggle lighting",
+  [Action.TOGGLE_SPOTLIGHT]: "Toggle ship spotlight",
+  [Action.TOGGLE_WIREFRAME]: "Toggle wireframe"
+}
+
+/* Largest deadzone offered by the slider (fraction of the stick range) */
+const _MAX_DEADZONE_SLIDER = 0.5
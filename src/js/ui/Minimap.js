@@ -0,0 +1,108 @@
+/**
+ * Equirectangular map of the whole world with the spaceship and every piece of debris plotted by latitude and
+ * longitude. Hidden until the player asks for it.
+ */
+class Minimap {
+
+  /**
+   * Canvas where the map is drawn.
+   *
+   * @type {HTMLCanvasElement}
+   */
+  #canvas
+
+  /**
+   * 2D drawing context of the canvas.
+   */
+  #context
+
+  /**
+   * Minimap class constructor.
+   */
+  constructor() {
+    this.#canvas = document.createElement("canvas")
+    this.#canvas.className = "minimap hidden"
+    this.#canvas.width = _MINIMAP_WIDTH
+    this.#canvas.height = _MINIMAP_WIDTH / 2
+    this.#context = this.#canvas.getContext("2d")
+    document.body.appendChild(this.#canvas)
+  }
+
+  /**
+   * Checks if the map is being displayed.
+   *
+   * @return {boolean}
+   */
+  isVisible() { return !this.#canvas.classList.contains("hidden") }
+
+  /**
+   * Displays the map if hidden and hides it otherwise.
+   */
+  toggle() {
+    this.#canvas.classList.toggle("hidden")
+  }
+
+  /**
+   * Redraws the map (does nothing while hidden).
+   *
+   * @param compound {CompoundObject} spaceship
+   * @param litter {Array<THREE.Object3D>} debris still in orbit
+   */
+  update(compound, litter) {
+    if (!this.isVisible())
+      return
+
+    let ctx = this.#context
+    let width = this.#canvas.width
+    let height = this.#canvas.height
+
+    ctx.fillStyle = _MINIMAP_BACKGROUND
+    ctx.fillRect(0, 0, width, height)
+
+    /* Meridians and parallels every 30 degrees */
+    ctx.strokeStyle = _MINIMAP_GRID
+    ctx.beginPath()
+    for (let i = 1; i < 12; i++) {
+      ctx.moveTo(i * width / 12, 0)
+      ctx.lineTo(i * width / 12, height)
+    }
+    for (let i = 1; i < 6; i++) {
+      ctx.moveTo(0, i * height / 6)
+      ctx.lineTo(width, i * height / 6)
+    }
+    ctx.stroke()
+
+    litter.forEach((object) => {
+      ctx.fillStyle = object.hazardous ? _MINIMAP_HAZARD_COLOR : _MINIMAP_LITTER_COLOR
+      this.#plot(object.position, _MINIMAP_DOT)
+    })
+
+    ctx.fillStyle = _MINIMAP_SHIP_COLOR
+    this.#plot(compound.getPrimary().position, _MINIMAP_DOT * 1.5)
+  }
+
+  /**
+   * Draws a dot where a position falls on the map, using the current fill style.
+   *
+   * @param position {THREE.Vector3} position relative to the world center
+   * @param size {number} dot radius (pixels)
+   */
+  #plot(position, size) {
+    let {theta, phi} = CompoundObject.sphericalAngles(position)
+    let x = (theta / (2 * Math.PI) + 0.5) * this.#canvas.width
+    let y = phi / Math.PI * this.#canvas.height
+
+    this.#context.beginPath()
+    this.#context.arc(x, y, size, 0, 2 * Math.PI)
+    this.#context.fill()
+  }
+
+}
+
+const _MINIMAP_WIDTH = 320
+const _MINIMAP_DOT = 2
+const _MINIMAP_BACKGROUND = "rgba(0, 16, 48, 0.7)"
+const _MINIMAP_GRID = "rgba(255, 255, 255, 0.2)"
+const _MINIMAP_LITTER_COLOR = "#ff0"
+const _MINIMAP_HAZARD_COLOR = "#f33"
+const _MINIMAP_SHIP_COLOR = "#fff"
@@ -0,0 +1,53 @@
+/**
+ * Overlay displayed while the game is paused. Allows the player to resume the round or to start a new one.
+ */
+class PauseScreen {
+
+  /**
+   * DOM element that holds the whole overlay.
+   */
+  #element
+
+  /**
+   * PauseScreen class constructor.
+   *
+   * @param onResume {function} callback executed when the player asks to go back to the round
+   * @param onRestart {function} callback executed when the player asks for a new round
+   */
+  constructor(onResume, onRestart) {
+    this.#element = document.createElement("div")
+    this.#element.className = "overlay hidden"
+
+    let title = document.createElement("h1")
+    title.textContent = "Paused"
+
+    let summary = document.createElement("p")
+    summary.textContent = "Press Escape to resume or Enter to start a new round"
+
+    let resume = document.createElement("button")
+    resume.textContent = "Resume"
+    resume.addEventListener("click", onResume)
+
+    let restart = document.createElement("button")
+    restart.textContent = "Restart"
+    restart.addEventListener("click", onRestart)
+
+    this.#element.append(title, summary, resume, restart)
+    document.body.appendChild(this.#element)
+  }
+
+  /**
+   * Displays the overlay.
+   */
+  show() {
+    this.#element.classList.remove("hidden")
+  }
+
+  /**
+   * Hides the overlay.
+   */
+  hide() {
+    this.#element.classList.add("hidden")
+  }
+
+}
@@ -0,0 +1,97 @@
+/**
+ * Round radar centred on the spaceship with its heading pointing up. Debris is placed by the direction and the distance
+ * one would travel over the orbit shell to reach it, so that litter on the far side of the world is never drawn on top
+ * of litter right next to the spaceship.
+ */
+class Radar {
+
+  /**
+   * Canvas where the radar is drawn.
+   *
+   * @type {HTMLCanvasElement}
+   */
+  #canvas
+
+  /**
+   * 2D drawing context of the canvas.
+   */
+  #context
+
+  /**
+   * Radar class constructor.
+   */
+  constructor() {
+    this.#canvas = document.createElement("canvas")
+    this.#canvas.className = "radar"
+    this.#canvas.width = _RADAR_SIZE
+    this.#canvas.height = _RADAR_SIZE
+    this.#context = this.#canvas.getContext("2d")
+    document.body.appendChild(this.#canvas)
+  }
+
+  /**
+   * Redraws the radar.
+   *
+   * @param compound {CompoundObject} spaceship
+   * @param litter {Array<THREE.Object3D>} debris still in orbit
+   */
+  update(compound, litter) {
+    let ctx = this.#context
+    let center = _RADAR_SIZE / 2
+    let radius = center - _RADAR_MARGIN
+
+    ctx.clearRect(0, 0, _RADAR_SIZE, _RADAR_SIZE)
+    ctx.fillStyle = _RADAR_BACKGROUND
+    ctx.strokeStyle = _RADAR_LINES
+    ctx.beginPath()
+    ctx.arc(center, center, radius, 0, 2 * Math.PI)
+    ctx.fill()
+    ctx.stroke()
+    ctx.beginPath()
+    ctx.arc(center, center, radius / 2, 0, 2 * Math.PI)
+    ctx.stroke()
+
+    /* Ship frame: heading is up on the radar and its right-hand side is right */
+    let up = compound.getPrimary().position.clone().normalize()
+    let heading = compound.getHeading()
+    let right = new THREE.Vector3().crossVectors(heading, up)
+    let direction = new THREE.Vector3()
+
+    litter.forEach((object) => {
+      direction.copy(object.position).normalize()
+      let angle = up.angleTo(direction)
+      if (angle > _RADAR_RANGE)
+        return
+
+      /* Keeps only the tangent part of the direction, its length no longer matters */
+      direction.addScaledVector(up, -direction.dot(up))
+      let bearing = Math.atan2(direction.dot(right), direction.dot(heading))
+      let distance = angle / _RADAR_RANGE * radius
+
+      ctx.fillStyle = object.hazardous ? _RADAR_HAZARD_COLOR : _RADAR_LITTER_COLOR
+      ctx.beginPath()
+      ctx.arc(center + Math.sin(bearing) * distance, center - Math.cos(bearing) * distance, _RADAR_DOT, 0, 2 * Math.PI)
+      ctx.fill()
+    })
+
+    /* The spaceship is a small arrow in the middle */
+    ctx.fillStyle = _RADAR_SHIP_COLOR
+    ctx.beginPath()
+    ctx.moveTo(center, center - 2 * _RADAR_DOT)
+    ctx.lineTo(center + _RADAR_DOT, center + _RADAR_DOT)
+    ctx.lineTo(center - _RADAR_DOT, center + _RADAR_DOT)
+    ctx.closePath()
+    ctx.fill()
+  }
+
+}
+
+const _RADAR_SIZE = 160
+const _RADAR_MARGIN = 4
+const _RADAR_RANGE = Math.PI / 3
+const _RADAR_DOT = 3
+const _RADAR_BACKGROUND = "rgba(0, 32, 0, 0.6)"
+const _RADAR_LINES = "#3c3"
+const _RADAR_LITTER_COLOR = "#ff0"
+const _RADAR_HAZARD_COLOR = "#f33"
+const _RADAR_SHIP_COLOR = "#fff"
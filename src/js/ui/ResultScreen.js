@@ -0,0 +1,60 @@
+/**
+ * Overlay displayed when a round ends. Shows the outcome and allows the player to start a new round.
+ */
+class ResultScreen {
+
+  /**
+   * DOM element that holds the whole overlay.
+   */
+  #element
+
+  /**
+   * DOM element where the round outcome is written.
+   */
+  #title
+
+  /**
+   * DOM element where the final score is written.
+   */
+  #summary
+
+  /**
+   * ResultScreen class constructor.
+   *
+   * @param onRestart {function} callback executed when the player asks for a new round
+   */
+  constructor(onRestart) {
+    this.#element = document.createElement("div")
+    this.#element.className = "overlay hidden"
+
+    this.#title = document.createElement("h1")
+    this.#summary = document.createElement("p")
+
+    let button = document.createElement("button")
+    button.textContent = "Restart"
+    button.addEventListener("click", onRestart)
+
+    this.#element.append(this.#title, this.#summary, button)
+    document.body.appendChild(this.#element)
+  }
+
+  /**
+   * Displays the outcome of the round.
+   *
+   * @param won {boolean} true if every piece of litter was collected
+   * @param score {number} final score
+   */
+  show(won, score) {
+    this.#title.textContent = won ? "Orbit cleared!" : "Game over"
+    this.#summary.textContent = `Score: ${score} (press Enter to play again)`
+    this.#element.classList.remove("hidden")
+  }
+
+  /**
+   * Hides the overlay.
+   */
+  hide() {
+    this.#element.classList.add("hidden")
+  }
+
+}
@@ -0,0 +1,30 @@
+/**
+ * Small label that displays the seed of the current scene layout, so that it can be shared and replayed with the
+ * `?seed=` query parameter.
+ */
+class SeedLabel {
+
+  /**
+   * DOM element where the seed is written.
+   */
+  #element
+
+  /**
+   * SeedLabel class constructor.
+   */
+  constructor() {
+    this.#element = document.createElement("div")
+    this.#element.className = "seed-label"
+    document.body.appendChild(this.#element)
+  }
+
+  /**
+   * Displays a seed.
+   *
+   * @param seed {number}
+   */
+  show(seed) {
+    this.#element.textContent = `Seed: ${seed}`
+  }
+
+}
@@ -0,0 +1,48 @@
+/**
+ * Overlay displayed before the first round starts.
+ */
+class TitleScreen {
+
+  /**
+   * DOM element that holds the whole overlay.
+   */
+  #element
+
+  /**
+   * TitleScreen class constructor.
+   *
+   * @param onStart {function} callback executed when the player asks to start playing
+   */
+  constructor(onStart) {
+    this.#element = document.createElement("div")
+    this.#element.className = "overlay hidden"
+
+    let title = document.createElement("h1")
+    title.textContent = "Space Litter Cleanup"
+
+    let summary = document.createElement("p")
+    summary.textContent = "Collect the litter in orbit and keep away from the red debris (press Enter to start)"
+
+    let button = document.createElement("button")
+    button.textContent = "Start"
+    button.addEventListener("click", onStart)
+
+    this.#element.append(title, summary, button)
+    document.body.appendChild(this.#element)
+  }
+
+  /**
+   * Displays the overlay.
+   */
+  show() {
+    this.#element.classList.remove("hidden")
+  }
+
+  /**
+   * Hides the overlay.
+   */
+  hide() {
+    this.#element.classList.add("hidden")
+  }
+
+}
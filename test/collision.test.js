@@ -0,0 +1,129 @@
+'use strict'
+
+/* Arrays built by the simulation come from its sandbox, so they are compared by length and content rather than with
+ * deepEqual, which also compares prototypes */
+
+const {describe, it} = require("node:test")
+const assert = require("node:assert/strict")
+const {loadSimulation} = require("./loadSimulation.js")
+
+const {THREE, ScoreBoard, Simulation, UniformGrid} = loadSimulation()
+
+/**
+ * Moves a piece of litter right next to the spaceship and refreshes the index.
+ *
+ * @param simulation {Simulation}
+ * @param litter {THREE.Mesh}
+ */
+function moveOntoShip(simulation, litter) {
+  litter.position.copy(simulation.getCompound().getPrimary().position)
+  simulation.getLitterIndex().update(litter)
+}
+
+describe("Simulation.checkCollision", () => {
+
+  it("does not collect anything at the start of a round", () => {
+    let simulation = new Simulation(7)
+    assert.equal(simulation.checkCollision().length, 0)
+  })
+
+  it("collects litter touching the spaceship and scores it", () => {
+    let simulation = new Simulation(7)
+    let litter = simulation.getLitterIndex().getAll().find((candidate) => !candidate.hazardous)
+    moveOntoShip(simulation, litter)
+
+    let collected = simulation.checkCollision()
+    assert.equal(collected.length, 1)
+    assert.equal(collected[0], litter)
+    assert.equal(simulation.getScoreBoard().getScore(), ScoreBoard.pointsFor(litter.litterType))
+    assert.equal(simulation.getLitterIndex().getAll().includes(litter), false)
+    assert.equal(litter.parent, null)
+  })
+
+  it("takes a life for hazardous litter", () => {
+    let simulation = new Simulation(7)
+    let lives = simulation.getScoreBoard().getLives()
+    let litter = simulation.getLitterIndex().getAll()[0]
+    litter.hazardous = true
+    moveOntoShip(simulation, litter)
+
+    simulation.checkCollision()
+    assert.equal(simulation.getScoreBoard().getLives(), lives - 1)
+    assert.equal(simulation.getScoreBoard().getScore(), 0)
+  })
+
+  it("ignores litter just out of reach", () => {
+    let simulation = new Simulation(7)
+    let compound = simulation.getCompound()
+    let litter = simulation.getLitterIndex().getAll()[0]
+    litter.position.copy(compound.getPrimary().position)
+      .addScaledVector(compound.getHeading(), compound.raioCol + litter.raioCol + 0.01)
+    simulation.getLitterIndex().update(litter)
+
+    assert.equal(simulation.checkCollision().length, 0)
+  })
+
+  it("ends the round once every collectable piece is gone", () => {
+    let simulation = new Simulation(7)
+    simulation.getLitterIndex().getAll()
+      .filter((litter) => !litter.hazardous)
+      .forEach((litter) => {
+        assert.equal(simulation.isOver(), false)
+        moveOntoShip(simulation, litter)
+        simulation.checkCollision()
+      })
+
+    assert.ok(simulation.isCleared())
+    assert.ok(simulation.isOver())
+  })
+
+  it("ends the round when the spaceship runs out of lives", () => {
+    let simulation = new Simulation(7)
+    let lives = simulation.getScoreBoard().getLives()
+    simulation.getLitterIndex().getAll().slice(0, lives).forEach((litter) => {
+      litter.hazardous = true
+      moveOntoShip(simulation, litter)
+      simulation.checkCollision()
+    })
+
+    assert.equal(simulation.isCleared(), false)
+    assert.ok(simulation.isOver())
+  })
+
+})
+
+describe("UniformGrid.queryNeighbours", () => {
+
+  it("finds every object a brute force search finds", () => {
+    let grid = new UniformGrid(12)
+    let objects = []
+    for (let i = 0; i < 200; i++) {
+      let object = new THREE.Object3D()
+      object.position.set(Math.sin(i) * 90, Math.cos(i * 1.3) * 90, Math.sin(i * 0.7) * 90)
+      object.raioCol = 1 + (i % 5)
+      grid.insert(object)
+      objects.push(object)
+    }
+
+    let position = new THREE.Vector3(10, -20, 30)
+    let radius = 25
+    let candidates = grid.queryNeighbours(position, radius)
+    objects
+      .filter((object) => position.distanceTo(object.position) <= radius + object.raioCol)
+      .forEach((object) => assert.ok(candidates.includes(object)))
+  })
+
+  it("follows objects that moved", () => {
+    let grid = new UniformGrid(12)
+    let object = new THREE.Object3D()
+    object.raioCol = 1
+    grid.insert(object)
+
+    object.position.set(100, 0, 0)
+    grid.update(object)
+
+    assert.equal(grid.queryNeighbours(new THREE.Vector3(), 2).includes(object), false)
+    assert.ok(grid.queryNeighbours(new THREE.Vector3(100, 0, 0), 2).includes(object))
+  })
+
+})
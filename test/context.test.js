@@ -0,0 +1,102 @@
+'use strict'
+
+const {describe, it} = require("node:test")
+const assert = require("node:assert/strict")
+const {loadContext} = require("./loadContext.js")
+
+const {THREE, ViewLayout, CameraPlugin, ContextManagementEngine, canvas} = loadContext()
+
+/**
+ * Builds a stand-in for the WebGL renderer that records what it was asked to render.
+ *
+ * @return {Object} renderer with a `rendered` list of {scene, camera}
+ */
+function recordingRenderer() {
+  return {
+    rendered: [],
+    render(scene, camera) { this.rendered.push({scene, camera}) },
+    getSize: (target) => target.set(800, 600),
+    setViewport() {},
+    setScissor() {},
+    setScissorTest() {}
+  }
+}
+
+/**
+ * Right-drags the orbit camera sideways in a layout and measures how far the camera moved.
+ *
+ * @param layout {number} see ViewLayout
+ * @param pixels {number} horizontal distance dragged
+ *
+ * @return {number} distance the camera moved (world units)
+ */
+function panDistance(layout, pixels) {
+  let scene = new THREE.Scene()
+  let element = canvas()
+  let context = new ContextManagementEngine(scene, element)
+  context.setCamera(CameraPlugin.ORBIT)
+  context.update(10)
+  context.getViewportPlugin().setLayout(layout)
+  context.render(recordingRenderer(), scene)
+
+  let camera = context.getCameraPlugin().getCameras().get(CameraPlugin.ORBIT)
+  let start = camera.position.clone()
+  element.dispatch("pointerdown", {pointerId: 1, clientX: 0, clientY: 0, button: 2, target: element})
+  element.dispatch("pointermove", {pointerId: 1, clientX: pixels, clientY: 0})
+  context.update(10)
+  return camera.position.distanceTo(start)
+}
+
+describe("ContextManagementEngine", () => {
+
+  it("renders the current camera over the whole canvas once the viewport plugin is unregistered", () => {
+    let scene = new THREE.Scene()
+    let context = new ContextManagementEngine(scene, canvas())
+    let renderer = recordingRenderer()
+
+    context.cycleViewLayout()
+    assert.notEqual(context.unregister("viewport"), null)
+    context.cycleViewLayout()
+    context.render(renderer, scene)
+
+    assert.equal(renderer.rendered.length, 1)
+    assert.equal(renderer.rendered[0].scene, scene)
+    assert.equal(renderer.rendered[0].camera, context.getCamera())
+  })
+
+  it("renders every region of a split layout through the viewport plugin", () => {
+    let scene = new THREE.Scene()
+    let context = new ContextManagementEngine(scene, canvas())
+    let renderer = recordingRenderer()
+
+    context.getViewportPlugin().setLayout(ViewLayout.QUAD)
+    context.render(renderer, scene)
+
+    assert.equal(renderer.rendered.length, 4)
+  })
+
+  it("pans the orbit camera at the pace of the pointer in the region it is rendered to", () => {
+    let single = panDistance(ViewLayout.SINGLE, 20)
+    let quad = panDistance(ViewLayout.QUAD, 20)
+
+    assert.ok(single > 0)
+    assert.ok(Math.abs(quad / single - 2) < 1e-6)
+  })
+
+  it("skips the camera methods and renders nothing once the camera plugin is unregistered", () => {
+    let scene = new THREE.Scene()
+    let context = new ContextManagementEngine(scene, canvas())
+    let renderer = recordingRenderer()
+
+    context.unregister("camera")
+    context.setCamera(0)
+    context.resetOrbitCamera()
+    context.toggleCameraTransitions()
+    context.update(1 / 60)
+    context.render(renderer, scene)
+
+    assert.equal(context.getCamera(), null)
+    assert.equal(renderer.rendered.length, 0)
+  })
+
+})
@@ -0,0 +1,77 @@
+'use strict'
+
+const {describe, it} = require("node:test")
+const assert = require("node:assert/strict")
+const {loadSimulation} = require("./loadSimulation.js")
+
+const {Simulation} = loadSimulation()
+
+const EPSILON = 1e-6
+
+/**
+ * Gets the position of every piece of litter of a round.
+ *
+ * @param simulation {Simulation}
+ *
+ * @return {Array<Array<number>>}
+ */
+function layout(simulation) {
+  return simulation.getLitterIndex().getAll().map(({position}) => position.toArray())
+}
+
+/**
+ * Checks that no two spheres overlap.
+ *
+ * @param objects {Array<{position: THREE.Vector3, raioCol: number}>}
+ */
+function assertApart(objects) {
+  objects.forEach((object, i) => objects.slice(i + 1).forEach((other) => {
+    assert.ok(object.position.distanceTo(other.position) > object.raioCol + other.raioCol)
+  }))
+}
+
+describe("debris placement", () => {
+
+  it("lays out the same round for the same seed", () => {
+    assert.deepEqual(layout(new Simulation(123)), layout(new Simulation(123)))
+    assert.notDeepEqual(layout(new Simulation(123)), layout(new Simulation(124)))
+  })
+
+  it("puts litter on the orbit shell", () => {
+    let simulation = new Simulation(5)
+    simulation.getLitterIndex().getAll().forEach(({position}) => {
+      assert.ok(Math.abs(position.length() - simulation.getOrbitRadius()) < EPSILON)
+    })
+  })
+
+  it("keeps litter and spaceship apart", () => {
+    let simulation = new Simulation(5)
+    let ship = {position: simulation.getCompound().getPrimary().position, raioCol: simulation.getCompound().raioCol}
+    assertApart([ship, ...simulation.getLitterIndex().getAll()])
+  })
+
+  it("spawns new waves clear of the spaceship", () => {
+    let simulation = new Simulation(5)
+    let before = simulation.getLitterIndex().size()
+    let spawned = simulation.spawnWave()
+
+    assert.ok(spawned.length > 0)
+    assert.equal(simulation.getLitterIndex().size(), before + spawned.length)
+    let ship = {position: simulation.getCompound().getPrimary().position, raioCol: simulation.getCompound().raioCol}
+    assertApart([ship, ...spawned])
+  })
+
+  it("moves litter along its orbit when stepped", () => {
+    let simulation = new Simulation(5)
+    let start = layout(simulation)
+    for (let i = 0; i < 60; i++)
+      simulation.step(1 / 60)
+
+    let litter = simulation.getLitterIndex().getAll()
+    litter.forEach(({position}) => {
+      assert.ok(Math.abs(position.length() - simulation.getOrbitRadius()) < EPSILON)
+    })
+    assert.notDeepEqual(layout(simulation), start)
+  })
+
+})
@@ -0,0 +1,58 @@
+'use strict'
+
+/*
+ * Loads the context engine and its built-in plugins into a sandbox, with just enough of a browser (window size and a
+ * canvas that takes pointer listeners) for the cameras to be built.
+ */
+
+const {loadScripts} = require("./loadSimulation.js")
+
+/* Scripts of the context engine, in the order index.html loads them */
+const SCRIPTS = [
+  "enums/ViewLayout.js",
+  "enums/ShadingMode.js",
+  "WorldConstants.js",
+  "context/Easing.js",
+  "context/CameraTransition.js",
+  "context/OrbitCamera.js",
+  "context/ChaseCamera.js",
+  "context/ContextPlugin.js",
+  "context/CameraPlugin.js",
+  "context/ViewportPlugin.js",
+  "context/LightingPlugin.js",
+  "context/WireframePlugin.js",
+  "context/ContextManagementEngine.js"
+]
+
+/* Globals made available to the tests */
+const EXPORTS = ["ViewLayout", "ContextPlugin", "CameraPlugin", "ContextManagementEngine"]
+
+/**
+ * Builds an element that keeps its event listeners, so that tests can dispatch events to them.
+ *
+ * @return {{addEventListener: function, removeEventListener: function, dispatch: function(string, Object)}}
+ */
+function element() {
+  let listeners = new Map()
+  return {
+    addEventListener: (type, listener) => listeners.set(type, [...(listeners.get(type) ?? []), listener]),
+    removeEventListener: (type, listener) =>
+      listeners.set(type, (listeners.get(type) ?? []).filter((other) => other !== listener)),
+    dispatch: (type, event) => (listeners.get(type) ?? []).forEach((listener) => listener(event))
+  }
+}
+
+/**
+ * Loads the context engine.
+ *
+ * @param width {number} window width
+ * @param height {number} window height
+ *
+ * @return {Object} THREE plus every class and enum in EXPORTS, and a `canvas` factory for the engine's element
+ */
+function loadContext(width = 800, height = 600) {
+  let window = {innerWidth: width, innerHeight: height}
+  return {...loadScripts(SCRIPTS, EXPORTS, {window}), canvas: element}
+}
+
+module.exports = {loadContext}
@@ -0,0 +1,63 @@
+'use strict'
+
+/*
+ * Loads the simulation core (every script that does not need a browser) into a sandbox, the same way index.html loads
+ * it into the page, and returns its classes. Scripts share the sandbox's global scope, just like script tags do.
+ */
+
+const fs = require("node:fs")
+const path = require("node:path")
+const vm = require("node:vm")
+const THREE = require("../src/js/three.js")
+
+/* Scripts of the simulation core, in the order index.html loads them */
+const SCRIPTS = [
+  "enums/Directions.js",
+  "enums/RotationMode.js",
+  "enums/LitterType.js",
+  "enums/FlightMode.js",
+  "WorldConstants.js",
+  "CompoundObject.js",
+  "Globe.js",
+  "collision/SpatialIndex.js",
+  "collision/UniformGrid.js",
+  "debris/Orbit.js",
+  "debris/LitterShapes.js",
+  "debris/DebrisSpawner.js",
+  "game/ScoreBoard.js",
+  "game/SeededRandom.js",
+  "game/Simulation.js"
+]
+
+/* Globals made available to the tests */
+const EXPORTS = ["Direction", "RotationMode", "LitterType", "FlightMode", "CompoundObject", "Globe", "UniformGrid",
+  "Orbit", "DebrisSpawner", "ScoreBoard", "SeededRandom", "Simulation"]
+
+/**
+ * Loads scripts into a fresh sandbox.
+ *
+ * @param scripts {Array<string>} paths relative to src/js, in the order index.html loads them
+ * @param exports {Array<string>} globals returned to the caller
+ * @param globals {Object} extra globals the scripts need (browser stand-ins)
+ *
+ * @return {Object} THREE plus every global in exports
+ */
+function loadScripts(scripts, exports, globals = {}) {
+  let context = vm.createContext({THREE, console, ...globals})
+  scripts.forEach((script) => {
+    let file = path.join(__dirname, "..", "src", "js", script)
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, {filename: file})
+  })
+  return {THREE, ...vm.runInContext(`({${exports.join(", ")}})`, context)}
+}
+
+/**
+ * Loads the simulation core.
+ *
+ * @return {Object} THREE plus every class and enum in EXPORTS
+ */
+function loadSimulation() {
+  return loadScripts(SCRIPTS, EXPORTS)
+}
+
+module.exports = {loadScripts, loadSimulation}
@@ -0,0 +1,172 @@
+'use strict'
+
+const {describe, it} = require("node:test")
+const assert = require("node:assert/strict")
+const {loadSimulation} = require("./loadSimulation.js")
+
+const {THREE, Direction, FlightMode, Simulation} = loadSimulation()
+
+const STEP = 1 / 60
+const EPSILON = 1e-6
+
+/**
+ * Builds a round with the spaceship on the equator, heading north.
+ *
+ * @return {Simulation}
+ */
+function equatorSimulation() {
+  let simulation = new Simulation(1)
+  simulation.getCompound().placeAt(new THREE.Vector3(0, 0, simulation.getOrbitRadius()))
+  return simulation
+}
+
+/**
+ * Moves the spaceship for a number of steps.
+ *
+ * @param simulation {Simulation}
+ * @param directions {Array<number>} see Direction
+ * @param steps {number}
+ */
+function fly(simulation, directions, steps) {
+  for (let i = 0; i < steps; i++)
+    simulation.getCompound().move(directions, STEP, simulation.getOrbitRadius())
+}
+
+describe("CompoundObject.move", () => {
+
+  it("keeps the spaceship on the orbit shell", () => {
+    let simulation = equatorSimulation()
+    fly(simulation, [Direction.UP, Direction.LEFT], 600)
+
+    let position = simulation.getCompound().getPrimary().position
+    assert.ok(Math.abs(position.length() - simulation.getOrbitRadius()) < EPSILON)
+  })
+
+  it("keeps the heading tangent to the orbit shell", () => {
+    let simulation = equatorSimulation()
+    fly(simulation, [Direction.UP, Direction.RIGHT], 300)
+
+    let compound = simulation.getCompound()
+    let up = compound.getPrimary().position.clone().normalize()
+    assert.ok(Math.abs(compound.getHeading().dot(up)) < EPSILON)
+  })
+
+  it("flies over the north pole and down the other side", () => {
+    let simulation = equatorSimulation()
+    let compound = simulation.getCompound()
+
+    /* Flies until the spaceship has gone past the pole, checking that it never leaves the meridian */
+    let reachedPole = false
+    for (let i = 0; i < 1200 && !(reachedPole && compound.getPrimary().position.y < 0); i++) {
+      fly(simulation, [Direction.UP], 1)
+      let position = compound.getPrimary().position
+      assert.ok(Math.abs(position.x) < EPSILON)
+      if (position.y > simulation.getOrbitRadius() - 1)
+        reachedPole = true
+    }
+
+    assert.ok(reachedPole)
+    assert.ok(compound.getPrimary().position.z < 0)
+  })
+
+  it("turns around the local vertical without moving", () => {
+    let simulation = equatorSimulation()
+    let compound = simulation.getCompound()
+    let position = compound.getPrimary().position.clone()
+    let heading = compound.getHeading()
+
+    fly(simulation, [Direction.LEFT], 30)
+
+    assert.ok(compound.getPrimary().position.distanceTo(position) < EPSILON)
+    assert.ok(compound.getHeading().angleTo(heading) > 0.1)
+  })
+
+  it("keeps gliding in inertial flight and slows down with drag", () => {
+    let simulation = equatorSimulation()
+    let compound = simulation.getCompound()
+    compound.setFlightMode(FlightMode.INERTIAL)
+
+    fly(simulation, [Direction.UP], 60)
+    let speed = compound.getSpeed()
+    assert.ok(speed > 0)
+
+    let position = compound.getPrimary().position.clone()
+    fly(simulation, [], 60)
+    assert.ok(compound.getPrimary().position.distanceTo(position) > 0)
+    assert.ok(compound.getSpeed() < speed)
+  })
+
+  it("glides longer with less drag and stops sooner with more", () => {
+    let speeds = [0, 0.5, 4].map((drag) => {
+      let simulation = equatorSimulation()
+      let compound = simulation.getCompound()
+      compound.setFlightMode(FlightMode.INERTIAL)
+      compound.setDrag(drag)
+
+      fly(simulation, [Direction.UP], 30)
+      fly(simulation, [], 60)
+      return compound.getSpeed()
+    })
+
+    assert.ok(speeds[0] > speeds[1])
+    assert.ok(speeds[1] > speeds[2])
+  })
+
+  it("keeps its speed without drag once thrust stops", () => {
+    let simulation = equatorSimulation()
+    let compound = simulation.getCompound()
+    compound.setFlightMode(FlightMode.INERTIAL)
+    compound.setDrag(0)
+    compound.setThrust(20)
+
+    fly(simulation, [Direction.UP], 30)
+    let speed = compound.getSpeed()
+    assert.ok(Math.abs(speed - 20 * 30 * STEP) < EPSILON)
+
+    fly(simulation, [], 120)
+    assert.ok(Math.abs(compound.getSpeed() - speed) < EPSILON)
+  })
+
+  it("stops at once in direct flight", () => {
+    let simulation = equatorSimulation()
+    let compound = simulation.getCompound()
+
+    fly(simulation, [Direction.UP], 60)
+    let position = compound.getPrimary().position.clone()
+    fly(simulation, [], 10)
+
+    assert.equal(compound.getSpeed(), 0)
+    assert.ok(compound.getPrimary().position.distanceTo(position) < EPSILON)
+  })
+
+})
+
+describe("Simulation.step", () => {
+
+  it("flies the spaceship with the movement input", () => {
+    let idle = equatorSimulation()
+    let moving = equatorSimulation()
+    for (let i = 0; i < 60; i++) {
+      idle.step(STEP)
+      moving.step(STEP, [Direction.UP])
+    }
+
+    let position = moving.getCompound().getPrimary().position
+    assert.ok(position.distanceTo(idle.getCompound().getPrimary().position) > 0)
+    assert.ok(Math.abs(position.length() - moving.getOrbitRadius()) < EPSILON)
+  })
+
+  it("flies farther with the boost engaged", () => {
+    let start = equatorSimulation().getCompound().getPrimary().position.clone()
+    let cruising = equatorSimulation()
+    let boosted = equatorSimulation()
+    for (let i = 0; i < 30; i++) {
+      cruising.step(STEP, [Direction.UP])
+      boosted.step(STEP, [Direction.UP], true)
+    }
+
+    assert.ok(boosted.getCompound().getPrimary().position.distanceTo(start) >
+      cruising.getCompound().getPrimary().position.distanceTo(start))
+  })
+
+})